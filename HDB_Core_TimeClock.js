@@ -15,6 +15,79 @@
  * @desc Number of real-world minutes that should pass for one in-game day (15 = 15 real minutes per game day)
  * @default 15
  * 
+ * @param clockMode
+ * @parent Time Settings
+ * @type select
+ * @option realtime
+ * @option frames
+ * @option system
+ * @desc realtime: advance by real elapsed time. frames: advance by game frames (deterministic, assumes 60 fps). system: follow the computer's clock
+ * @default realtime
+ * 
+ * @param maxCatchUpFrames
+ * @parent Time Settings
+ * @type number
+ * @min 1
+ * @desc Frames mode only: most frames counted in one update, so stalls don't cause time jumps
+ * @default 10
+ * 
+ * @param Offline Settings
+ * @text Time Away
+ * 
+ * @param offlineProgress
+ * @parent Offline Settings
+ * @type boolean
+ * @desc Advance the clock for the real time that passed since the save was made
+ * @default false
+ * 
+ * @param offlineRatio
+ * @parent Offline Settings
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @desc Speed of time while away compared to normal play (1 = same speed, 0.5 = half)
+ * @default 1
+ * 
+ * @param offlineCapHours
+ * @parent Offline Settings
+ * @type number
+ * @min 0
+ * @desc Most in-game hours that can pass while away (0 = no limit)
+ * @default 24
+ * 
+ * @param awayCommonEvent
+ * @parent Offline Settings
+ * @type common_event
+ * @desc Common event to run after time passed while away (0 = none)
+ * @default 0
+ * 
+ * @param awayMinutesVariable
+ * @parent Offline Settings
+ * @type variable
+ * @desc Variable set to the in-game minutes that passed while away (0 = none)
+ * @default 0
+ * 
+ * @param Pause Settings
+ * @text Pause Rules
+ * 
+ * @param pauseScenes
+ * @parent Pause Settings
+ * @type string[]
+ * @desc Scene class names that pause time (subclasses included)
+ * @default ["Scene_Menu", "Scene_Item", "Scene_Skill", "Scene_Equip", "Scene_Status", "Scene_File", "Scene_Options", "Scene_Gameover", "Scene_Title", "Scene_Battle", "Scene_Shop", "Scene_Name"]
+ * 
+ * @param pauseDuringEvents
+ * @parent Pause Settings
+ * @type boolean
+ * @desc Pause time while a map event is running
+ * @default false
+ * 
+ * @param pauseDuringMessages
+ * @parent Pause Settings
+ * @type boolean
+ * @desc Pause time while a message is showing
+ * @default false
+ * 
  * @param Time Limits
  * @text Time Limit Configuration
  * 
@@ -34,22 +107,136 @@
  * @desc Hour when new day starts after sleeping (24-hour format)
  * @default 6
  * 
+ * @param endOfDayPolicy
+ * @parent Time Limits
+ * @type select
+ * @option stop
+ * @option passOut
+ * @option continue
+ * @desc What happens at dayEndHour. stop: time freezes. passOut: send the party to bed. continue: time keeps going
+ * @default stop
+ * 
+ * @param endOfDayCommonEvent
+ * @parent Time Limits
+ * @type common_event
+ * @desc Common event to run when dayEndHour is reached (0 = none)
+ * @default 0
+ * 
+ * @param passOutMapId
+ * @parent Time Limits
+ * @type number
+ * @min 0
+ * @desc passOut policy: map to transfer the player to (0 = stay where they are)
+ * @default 0
+ * 
+ * @param passOutX
+ * @parent Time Limits
+ * @type number
+ * @min 0
+ * @desc passOut policy: X position on the bed map
+ * @default 0
+ * 
+ * @param passOutY
+ * @parent Time Limits
+ * @type number
+ * @min 0
+ * @desc passOut policy: Y position on the bed map
+ * @default 0
+ * 
+ * @param passOutGoldPenalty
+ * @parent Time Limits
+ * @type number
+ * @min 0
+ * @max 100
+ * @desc passOut policy: percent of the party's gold lost
+ * @default 0
+ * 
+ * @param passOutHpPenalty
+ * @parent Time Limits
+ * @type number
+ * @min 0
+ * @max 100
+ * @desc passOut policy: percent of max HP each member loses (never below 1 HP)
+ * @default 0
+ * 
+ * @param transitionFadeDuration
+ * @parent Time Limits
+ * @type number
+ * @min 1
+ * @desc Frames for the fade-out and fade-in of time skips that request a fade
+ * @default 24
+ * 
+ * @param Sleep Settings
+ * @text Sleep and Rest
+ * 
+ * @param restHpPerHour
+ * @parent Sleep Settings
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @max 100
+ * @desc Percent of max HP recovered per hour slept (0 = sleep doesn't heal HP)
+ * @default 0
+ * 
+ * @param restMpPerHour
+ * @parent Sleep Settings
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @max 100
+ * @desc Percent of max MP recovered per hour slept (0 = sleep doesn't heal MP)
+ * @default 0
+ * 
+ * @param restStateHours
+ * @parent Sleep Settings
+ * @type number
+ * @min 0
+ * @desc Hours of sleep that remove all states except death (0 = sleep never removes states)
+ * @default 0
+ * 
+ * @param lateSleepHour
+ * @parent Sleep Settings
+ * @type number
+ * @min 0
+ * @max 47
+ * @desc Going to bed after this hour is late. Hours after midnight count from 24 (24 = midnight, 25 = 1:00)
+ * @default 24
+ * 
+ * @param lateSleepPenalty
+ * @parent Sleep Settings
+ * @type number
+ * @min 0
+ * @max 100
+ * @desc Percent less recovery for each hour the party went to bed late
+ * @default 25
+ * 
  * @param Calendar Settings
  * @text Calendar Configuration
  * 
+ * @param seasons
+ * @parent Calendar Settings
+ * @type struct<Season>[]
+ * @desc Seasons in calendar order, each with its own list of months
+ * @default ["{\"name\": \"Spring\", \"months\": \"[]\"}", "{\"name\": \"Summer\", \"months\": \"[]\"}", "{\"name\": \"Fall\", \"months\": \"[]\"}", "{\"name\": \"Winter\", \"months\": \"[]\"}"]
+ * 
  * @param seasonLength
  * @parent Calendar Settings
  * @type number
  * @min 1
- * @desc Days per season
+ * @desc Days per season for seasons that define no months
  * @default 28
  * 
+ * @param weekdays
+ * @parent Calendar Settings
+ * @type string[]
+ * @desc Names of the days of the week, in order. The list length is the week length.
+ * @default ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"]
+ * 
  * @param startingSeason
  * @parent Calendar Settings
  * @type number
  * @min 0
- * @max 3
- * @desc Starting season (0: Spring, 1: Summer, 2: Fall, 3: Winter)
+ * @desc Index of the season the game starts in (0 = first season)
  * @default 0
  * 
  * @param startingYear
@@ -59,6 +246,64 @@
  * @desc Starting year
  * @default 1
  * 
+ * @param Holiday Settings
+ * @text Holidays
+ * 
+ * @param holidays
+ * @parent Holiday Settings
+ * @type struct<Holiday>[]
+ * @desc Named special days such as festivals, market days and birthdays
+ * @default []
+ * 
+ * @param Variable Settings
+ * @text Variable/Switch Bindings
+ * 
+ * @param minuteVariable
+ * @parent Variable Settings
+ * @type variable
+ * @desc Variable that mirrors the current minute (0 = disabled)
+ * @default 0
+ * 
+ * @param hourVariable
+ * @parent Variable Settings
+ * @type variable
+ * @desc Variable that mirrors the current hour (0 = disabled)
+ * @default 0
+ * 
+ * @param dayVariable
+ * @parent Variable Settings
+ * @type variable
+ * @desc Variable that mirrors the current day of the month (0 = disabled)
+ * @default 0
+ * 
+ * @param weekdayVariable
+ * @parent Variable Settings
+ * @type variable
+ * @desc Variable that mirrors the current weekday index (0 = disabled)
+ * @default 0
+ * 
+ * @param seasonVariable
+ * @parent Variable Settings
+ * @type variable
+ * @desc Variable that mirrors the current season index (0 = disabled)
+ * @default 0
+ * 
+ * @param yearVariable
+ * @parent Variable Settings
+ * @type variable
+ * @desc Variable that mirrors the current year (0 = disabled)
+ * @default 0
+ * 
+ * @param Period Settings
+ * @text Time-of-Day Periods
+ * 
+ * @param periodSwitches
+ * @parent Period Settings
+ * @text Periods
+ * @type struct<TimePeriod>[]
+ * @desc Named time-of-day periods. The first period containing the hour is the current one.
+ * @default ["{\"name\":\"Dawn\",\"startHour\":\"5\",\"endHour\":\"7\",\"switchId\":\"0\"}","{\"name\":\"Day\",\"startHour\":\"7\",\"endHour\":\"17\",\"switchId\":\"0\"}","{\"name\":\"Dusk\",\"startHour\":\"17\",\"endHour\":\"19\",\"switchId\":\"0\"}","{\"name\":\"Night\",\"startHour\":\"19\",\"endHour\":\"5\",\"switchId\":\"0\"}"]
+ * 
  * @help This plugin provides core time management functionality for RPG Maker MV.
  * It handles time progression, calendar management, and provides hooks for other
  * systems to react to time changes.
@@ -70,6 +315,124 @@
  * This plugin requires HDB_SaveSystem.js to be loaded first.
  * 
  * =============================================================================
+ * Clock Modes
+ * =============================================================================
+ * 
+ * realtime - Time advances with the real clock (Date.now()). Fast and simple,
+ *            but time jumps if the window is throttled or the machine sleeps.
+ * frames   - Time advances by rendered game frames at 60 frames per real
+ *            second of realMinutesPerGameDay. No frames are counted while the
+ *            game is stalled, and at most maxCatchUpFrames are counted at once,
+ *            so the same inputs always produce the same in-game time.
+ * system   - The in-game time of day follows the computer's clock, one game
+ *            minute per real minute, and keeps running in menus and while the
+ *            game is closed. Sleeping and time skips move the clock ahead;
+ *            it then keeps pace with the real clock from there. If the real
+ *            clock is turned back, the game clock waits for it to catch up.
+ *            The stop End of Day Policy does not apply in this mode.
+ * 
+ * =============================================================================
+ * Time Away
+ * =============================================================================
+ * 
+ * With Offline Progress on, loading a save advances the clock by the real
+ * time since it was saved, scaled by the Offline Ratio and limited to the
+ * Offline Cap. In system mode the clock always catches up to the real clock.
+ * The catch-up jumps straight to the new time: day, season, year, hour and
+ * period events fire once for where the clock lands, each schedule and timer
+ * that came due fires once, and then a timeAway event sums it up:
+ * 
+ * $gameHDB.time.addTimeAwayListener(({ realTimePassed, gameMinutes, days, capped }) => { ... });
+ * 
+ * realTimePassed is in milliseconds. The Away Minutes Variable and Away
+ * Common Event let events show the same summary.
+ * 
+ * =============================================================================
+ * End of Day
+ * =============================================================================
+ * 
+ * When the clock reaches dayEndHour the dayEndReached event fires once per day
+ * and the End of Day Common Event (if any) is run. Then, depending on the
+ * End of Day Policy:
+ * 
+ * stop     - Time freezes until the player sleeps (the default)
+ * passOut  - Once no event is running, the player is moved to the pass-out
+ *            location, the gold/HP penalties are applied and the party sleeps
+ *            until the next day
+ * continue - Time keeps running past midnight
+ * 
+ * $gameHDB.time.addDayEndReachedListener(({ day, hour, policy }) => { ... });
+ * 
+ * =============================================================================
+ * Time Skips
+ * =============================================================================
+ * 
+ * $gameHDB.time.advanceTime(minutes, options)
+ * $gameHDB.time.advanceTo(hour, minute, options)
+ * $gameHDB.time.advanceDays(days, options)
+ * 
+ * Skips replay every minute/hour/period, day/season/year event and schedule
+ * they pass over, in chronological order. options.fade adds a fade-out and
+ * fade-in, options.onComplete is called once the skip has been applied.
+ * 
+ * Only one skip runs at a time. While a faded skip is in progress, starting
+ * another one (or adding minutes with AddMinutes/addMinutes) does nothing,
+ * logs a warning and returns false; a skip that starts returns true.
+ * 
+ * =============================================================================
+ * Sleeping
+ * =============================================================================
+ * 
+ * $gameHDB.time.sleepUntilNextDay(options)     - Wake the next time the clock reads the day start hour
+ * $gameHDB.time.sleepUntil(hour, minute, options) - Wake the next time the clock reads hour:minute
+ * $gameHDB.time.nap(hours, options)            - Sleep for a number of hours
+ * 
+ * Sleeping is a time skip that also rests the party: each hour slept restores
+ * the Rest HP/MP percentages, and sleeping at least Rest State Hours removes
+ * all states except death. Dead members are not healed. Going to bed after
+ * the Late Sleep Hour cuts the recovery by Late Sleep Penalty percent per
+ * hour. Pass { rest: false } to sleep without resting, plus the usual fade
+ * and onComplete options. Like time skips, these return false and log a
+ * warning when the party can't sleep now, e.g. during another skip.
+ * 
+ * Resting is off until the Rest parameters are set: they all default to 0,
+ * so existing bed and inn events keep handling recovery themselves. For
+ * example 12.5 / 12.5 / 6 fully heals the party over 8 hours and clears its
+ * states after 6.
+ * 
+ * $gameHDB.time.addSleepStartListener(({ minutes, hours, lateHours, nap }) => { ... });
+ * $gameHDB.time.addWakeListener(({ minutes, hours, lateHours, recovery, nap }) => { ... });
+ * 
+ * nap is true when the sleep ends before the day start hour comes around;
+ * only other sleeps count as nights slept. recovery is the fraction (0 - 1)
+ * of the full rest effect that was applied.
+ * 
+ * =============================================================================
+ * Pause Rules
+ * =============================================================================
+ * 
+ * Time stops in the scenes listed in Pause Scenes and in any scene that
+ * inherits from them. It can also stop while a map event is running or a
+ * message is showing. Other plugins can mark their own scenes as pausing:
+ * 
+ * $gameHDB.time.registerPauseScene(Scene_Crafting);    // class
+ * $gameHDB.time.registerPauseScene('Scene_Crafting');  // or class name
+ * 
+ * Time spent in pausing scenes is counted as menu time.
+ * 
+ * =============================================================================
+ * Map Notetags
+ * =============================================================================
+ * 
+ * <TimeScale: 0.5>     Time on this map runs at half speed (2 = double speed)
+ * <NoTimeFlow>         Time does not pass on this map
+ * <TimeOnEnter: +60>   Entering this map adds 60 minutes (negative subtracts)
+ * 
+ * $gameHDB.time.getMapRule()    - { mapId, timeScale, noTimeFlow, timeOnEnter }
+ * $gameHDB.time.isTimeFrozen()  - true when time is paused, frozen by the map
+ *                                 or stopped at the end of the day
+ * 
+ * =============================================================================
  * Time System Events
  * =============================================================================
  * 
@@ -79,62 +442,642 @@
  * - dayChange: Fired when day changes
  * - seasonChange: Fired when season changes
  * - yearChange: Fired when year changes
+ * - minuteChange: Fired when the in-game minute changes
+ * - hourChange: Fired when the in-game hour changes
+ * - periodChange: Fired when the time-of-day period changes (e.g. Day -> Dusk)
+ * - dayEndReached: Fired when the clock reaches dayEndHour
+ * - timeAway: Fired after catching up on time spent away (see Time Away)
+ * - sleepStart / wake: Fired when the party goes to sleep and wakes up
+ * 
+ * Periods are configured with the Time-of-Day Periods parameter. A period
+ * covers [startHour, endHour) and may wrap past midnight, e.g. Night 19 - 5.
+ * Its switch (if any) is ON while the period lasts.
  * 
  * Example usage in other plugins:
  * 
  * $gameHDB.time.onTimeUpdate.add((timeData) => {
  *   // Handle time update
  * });
+ * 
+ * const off = $gameHDB.time.on('hourChange', callback, { priority: 10 });
+ * $gameHDB.time.once('dayChange', callback);
+ * $gameHDB.time.off('hourChange', callback);   // or call off()
+ * 
+ * Listeners with a higher priority run first. A listener that throws is
+ * logged and does not stop the others. Listeners are kept until removed and
+ * survive scene changes, starting a new game and loading a save. Pass
+ * { owner: this } from a scene to have the listener removed when that scene
+ * ends.
+ * 
+ * =============================================================================
+ * Calendar
+ * =============================================================================
+ * 
+ * The calendar is built from the Seasons and Weekdays parameters. Each season
+ * holds a list of months with their own lengths; a season without months
+ * becomes a single month of Season Length days named after the season.
+ * Months are numbered through the year, so with four seasons of three months
+ * the months run 1 - 12.
+ * 
+ * getCurrentTime() returns:
+ * year, season, seasonName, month, monthName, day (day of month),
+ * dayOfSeason, dayOfYear, totalDays (days since the game started),
+ * weekday (0-based index), weekdayName, hour, minute, period
+ * 
+ * When setting a date, day means the day of the month if a month is given,
+ * the day of the season if only a season is given, and otherwise the day of
+ * the current month.
+ * 
+ * =============================================================================
+ * Holidays
+ * =============================================================================
+ * 
+ * Holidays are defined with the Holidays parameter or registered by other
+ * plugins. A holiday matches a day when all of its set fields match:
+ * season (-1 = any), month (0 = any), day (0 = any; day of the month when a
+ * month is set, otherwise day of the season) and weekday (-1 = any).
+ * 
+ * Summer 14:       season 1, day 14
+ * Weekly market:   weekday 5
+ * 
+ * $gameHDB.time.isHoliday();                        // Is today a holiday?
+ * $gameHDB.time.getHolidaysOn({ season: 1, day: 14 });
+ * $gameHDB.time.getUpcomingHolidays(5);             // Next 5 holidays
+ * $gameHDB.time.registerHoliday({ name: 'Fair', season: 2, day: 3 });
+ * $gameHDB.time.addHolidayStartListener(({ holiday, date }) => { ... });
+ * 
+ * onHolidayStart fires when a day that is a holiday begins. A holiday may
+ * also run a common event at the start of the day.
+ * 
+ * =============================================================================
+ * Plugin Commands
+ * =============================================================================
+ * 
+ * All commands recalculate the calendar and emit the same day/season/year
+ * events as normal time progression. A command with a number argument that
+ * isn't a number is skipped and a warning is logged.
+ * 
+ * TimeClock SetTime hour minute   - Set the time of day (e.g. TimeClock SetTime 18 30)
+ * TimeClock SetDay day            - Set the day of the current month (1-based)
+ * TimeClock SetMonth month        - Set the month of the year (1-based)
+ * TimeClock SetSeason season      - Set the season by index (0-based) or name
+ * TimeClock SetYear year          - Set the current year
+ * TimeClock AddMinutes n          - Add n minutes (negative values subtract)
+ * TimeClock AddHours n            - Add n hours (negative values subtract)
+ * TimeClock AddDays n             - Add n days (negative values subtract)
+ * TimeClock Pause                 - Pause time progression
+ * TimeClock Resume                - Resume time progression
+ * TimeClock Sleep [fade]          - Sleep until the clock next reads the day start hour
+ * TimeClock SleepUntil hour minute [fade]
+ *                                 - Sleep until the clock reads hour:minute
+ * TimeClock Nap hours [fade]      - Sleep for a number of hours
+ * TimeClock Advance minutes [fade]
+ *                                 - Skip forward, firing every event in between
+ * TimeClock AdvanceTo hour minute [fade]
+ *                                 - Skip forward to the next hour:minute
+ * TimeClock AdvanceDays n [fade]  - Skip forward n days
+ * 
+ * Add "fade" to fade the screen out and back in around the skip. The event
+ * waits until the fade has finished.
+ * TimeClock SetTimeScale minutes  - Set real minutes per game day
+ * TimeClock Schedule id hour minute repeat commonEventId
+ *                                 - Run a common event at a time of day.
+ *                                   repeat: none, daily, weekly, seasonal, yearly
+ * TimeClock Unschedule id         - Remove a schedule
+ * TimeClock Timer id duration commonEventId variableId
+ *                                 - Start a countdown. duration is in minutes,
+ *                                   or hours/days with h/d (90, 3h, 2d). The
+ *                                   variable shows the minutes left (0 = none).
+ * TimeClock CancelTimer id        - Stop a countdown without running it
+ * TimeClock Statistics            - Open the play statistics screen
+ * 
+ * =============================================================================
+ * Scheduled Triggers
+ * =============================================================================
+ * 
+ * Schedules fire a callback and/or reserve a common event at a given time.
+ * They are saved with the game, and any occurrence that is skipped over by
+ * sleeping or a time skip still fires, in chronological order.
+ * 
+ * // Named handlers survive save/load; register them when your plugin loads
+ * $gameHDB.time.registerScheduleHandler('bell', (info) => { ... });
+ * 
+ * $gameHDB.time.schedule({ id: 'noonBell', hour: 12, repeat: 'daily', callback: 'bell' });
+ * $gameHDB.time.schedule({ id: 'shop', hour: 9, weekday: 0, repeat: 'weekly', commonEventId: 5 });
+ * $gameHDB.time.schedule({ id: 'festival', season: 1, day: 14, hour: 8, repeat: 'yearly', commonEventId: 7 });
+ * $gameHDB.time.cancelSchedule('shop');
+ * 
+ * =============================================================================
+ * Timers
+ * =============================================================================
+ * 
+ * Timers run out after a number of game minutes, hours or days. They only
+ * count down while game time flows, are saved with the game, and expire in
+ * order when sleeping or a time skip jumps past them. Timers use the same
+ * named handlers as schedules.
+ * 
+ * $gameHDB.time.createTimer({ id: 'turnips', days: 4, callback: 'cropReady' });
+ * $gameHDB.time.createTimer({ id: 'quest', hours: 6, commonEventId: 12, variableId: 20 });
+ * $gameHDB.time.getTimerRemaining('quest');  // game minutes left
+ * $gameHDB.time.hasTimer('quest');
+ * $gameHDB.time.cancelTimer('quest');
+ * 
+ * =============================================================================
+ * Statistics
+ * =============================================================================
+ * 
+ * The time system keeps play statistics in the save file. Real times are in
+ * milliseconds and only count while the game is not paused; game times are
+ * in game minutes.
+ * 
+ * $gameHDB.time.getStatistics()
+ *   gameMinutes, daysPassed, playTime, menuTime, battleTime,
+ *   nightsSlept, minutesSlept, passOuts
+ * $gameHDB.time.getStatistic('nightsSlept')
+ * $gameHDB.time.getMapStatistics(mapId)  - { mapId, gameMinutes, playTime, visits }
+ * $gameHDB.time.getMapStatistics()       - every visited map, longest played first
+ * 
+ * SceneManager.push(Scene_TimeStatistics) or the Statistics plugin command
+ * shows them on screen.
+ * 
+ * =============================================================================
+ * Variable and Switch Bindings
+ * =============================================================================
+ * 
+ * The minute, hour, day, weekday, season and year from getCurrentTime() can be
+ * mirrored into game variables so event conditions can test them directly.
+ * Each time period may name a switch that is ON while the current hour is
+ * within that period.
+ * 
+ * Bindings are refreshed whenever the clock changes: normal progression,
+ * plugin commands, sleeping and loading a save.
+ */
+
+/*~struct~Season:
+ * @param name
+ * @text Name
+ * @type string
+ * @desc Season name
+ * @default Spring
+ * 
+ * @param months
+ * @text Months
+ * @type struct<Month>[]
+ * @desc Months in this season. Leave empty for one month of Season Length days.
+ * @default []
+ */
+
+/*~struct~Month:
+ * @param name
+ * @text Name
+ * @type string
+ * @desc Month name
+ * @default
+ * 
+ * @param days
+ * @text Days
+ * @type number
+ * @min 1
+ * @desc Number of days in this month
+ * @default 28
+ */
+
+/*~struct~Holiday:
+ * @param name
+ * @text Name
+ * @type string
+ * @desc Holiday name
+ * @default Festival
+ * 
+ * @param season
+ * @text Season
+ * @type number
+ * @min -1
+ * @desc Season index (-1 = any season)
+ * @default -1
+ * 
+ * @param month
+ * @text Month
+ * @type number
+ * @min 0
+ * @desc Month of the year (0 = any month)
+ * @default 0
+ * 
+ * @param day
+ * @text Day
+ * @type number
+ * @min 0
+ * @desc Day of the month if a month is set, otherwise day of the season (0 = any day)
+ * @default 0
+ * 
+ * @param weekday
+ * @text Weekday
+ * @type number
+ * @min -1
+ * @desc Weekday index (-1 = any weekday)
+ * @default -1
+ * 
+ * @param commonEventId
+ * @text Common Event
+ * @type common_event
+ * @desc Common event to run when the holiday starts (0 = none)
+ * @default 0
+ */
+
+/*~struct~TimePeriod:
+ * @param name
+ * @text Name
+ * @type string
+ * @desc Name of this period (e.g. Night, Morning)
+ * @default Night
+ * 
+ * @param startHour
+ * @text Start Hour
+ * @type number
+ * @min 0
+ * @max 23
+ * @desc Hour the period starts (inclusive)
+ * @default 19
+ * 
+ * @param endHour
+ * @text End Hour
+ * @type number
+ * @min 0
+ * @max 24
+ * @desc Hour the period ends (exclusive)
+ * @default 5
+ * 
+ * @param switchId
+ * @text Switch
+ * @type switch
+ * @desc Switch that is ON during this period (0 = none)
+ * @default 0
  */
 
 (function() {
     // Constants
     const HOURS_PER_DAY = 24;
     const MINUTES_PER_HOUR = 60;
-    const SEASONS = ['Spring', 'Summer', 'Fall', 'Winter'];
-    const SEASONS_PER_YEAR = 4;
+    const MINUTES_PER_DAY = HOURS_PER_DAY * MINUTES_PER_HOUR;
+    const FRAMES_PER_SECOND = 60;
 
-    // Time System Class
-    class TimeSystem {
+    // Used when the calendar parameters are missing from an older plugin config
+    const DEFAULT_SEASONS = ['Spring', 'Summer', 'Fall', 'Winter'];
+    const DEFAULT_WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+    // Used when the pauseScenes parameter is missing from an older plugin config
+    const DEFAULT_PAUSE_SCENES = ['Scene_Menu', 'Scene_Item', 'Scene_Skill', 'Scene_Equip', 'Scene_Status', 'Scene_File', 'Scene_Options', 'Scene_Gameover', 'Scene_Title', 'Scene_Battle', 'Scene_Shop', 'Scene_Name'];
+
+    // Used when the periodSwitches parameter is missing from an older plugin config
+    const DEFAULT_TIME_PERIODS = [
+        { name: 'Dawn', startHour: 5, endHour: 7, switchId: 0 },
+        { name: 'Day', startHour: 7, endHour: 17, switchId: 0 },
+        { name: 'Dusk', startHour: 17, endHour: 19, switchId: 0 },
+        { name: 'Night', startHour: 19, endHour: 5, switchId: 0 }
+    ];
+
+    // Named schedule handlers live outside the instance so they survive the
+    // TimeSystem being recreated on new game and load
+    const scheduleHandlers = new Map();
+
+    // Event emitter with priorities, once listeners, per-listener error isolation
+    // and automatic cleanup of listeners owned by a scene when it terminates
+    class TimeEventEmitter {
         constructor() {
-            // Initialize with a temporary logger
-            this.logger = {
-                debug: () => {},
-                info: () => {},
-                warn: () => {},
-                error: () => {},
-                group: () => {},
-                groupEnd: () => {}
+            this.listeners = {};
+            this.nextOrder = 0;
+            this.logger = null;
+        }
+
+        // options.priority: higher runs first (default 0)
+        // options.once: remove after the first call
+        // options.owner: scene whose termination removes the listener (default: none)
+        // Returns a function that removes the listener
+        on(event, callback, options = {}) {
+            const listener = {
+                callback,
+                priority: Number(options.priority || 0),
+                once: !!options.once,
+                owner: options.owner || null,
+                order: this.nextOrder++
             };
 
-            // Try to get the real logger if available
-            if (window.HDB_Logger) {
-                console.log('Initializing time system with logger');
-                this.logger = window.HDB_Logger.forPlugin('HDB_Core_TimeClock');
-                // Test the logger
-                this.logger.info('Time system logger initialized');
-            } else {
-                console.warn('Logger not available for time system');
-            }
+            const list = this.listeners[event] || (this.listeners[event] = []);
+            list.push(listener);
+            list.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
 
-            // Initialize time tracking
-            this.currentTime = 0;
-            this.lastUpdateTime = Date.now();
-            this.accumulatedMinutes = 0; // Track fractional minutes
+            return () => this.removeListener(event, listener);
+        }
 
-            // Load parameters first
-            this.loadParameters();
-            
-            // Then initialize the rest
-            this.initialize();
+        once(event, callback, options = {}) {
+            return this.on(event, callback, Object.assign({}, options, { once: true }));
         }
 
-        initialize() {
-            console.log('Initializing time system');
-            this.logger.group('Time System Initialization');
+        off(event, callback) {
+            const list = this.listeners[event];
+            if (list) {
+                this.listeners[event] = list.filter(listener => listener.callback !== callback);
+            }
+        }
+
+        removeListener(event, listener) {
+            const list = this.listeners[event];
+            if (list) {
+                this.listeners[event] = list.filter(entry => entry !== listener);
+            }
+        }
+
+        removeOwner(owner) {
+            Object.keys(this.listeners).forEach(event => {
+                this.listeners[event] = this.listeners[event].filter(listener => listener.owner !== owner);
+            });
+        }
+
+        emit(event, data) {
+            const list = this.listeners[event];
+            if (!list || list.length === 0) return;
+
+            list.slice().forEach(listener => {
+                if (listener.once) {
+                    this.removeListener(event, listener);
+                }
+                try {
+                    listener.callback(data);
+                } catch (error) {
+                    if (this.logger) {
+                        this.logger.error('Time event listener failed', {
+                            event,
+                            error: error.message,
+                            stack: error.stack
+                        });
+                    }
+                }
+            });
+        }
+
+        // Set-like view of one event for code written against the old Set API
+        channel(event) {
+            const emitter = this;
+            return {
+                add(callback, options) {
+                    emitter.on(event, callback, options);
+                    return this;
+                },
+                delete: (callback) => this.off(event, callback),
+                has: (callback) => (this.listeners[event] || []).some(listener => listener.callback === callback),
+                forEach: (fn) => (this.listeners[event] || []).forEach(listener => fn(listener.callback))
+            };
+        }
+    }
+
+    const timeEvents = new TimeEventEmitter();
+
+    // Scene classes or class names registered by other plugins as pausing time
+    const registeredPauseScenes = new Set();
+
+    // Holidays registered by other plugins, kept across TimeSystem instances
+    const registeredHolidays = [];
+
+    // Holiday Registry Class
+    class HolidayRegistry {
+        constructor(timeSystem, params) {
+            this.time = timeSystem;
+            this.holidays = JSON.parse(params.holidays || '[]').map(json => this.normalize(JSON.parse(json)));
+        }
+
+        normalize(definition) {
+            const numberOr = (value, fallback) => value === undefined || value === '' ? fallback : Number(value);
+            return {
+                name: definition.name,
+                season: numberOr(definition.season, -1),
+                month: numberOr(definition.month, 0),
+                day: numberOr(definition.day, 0),
+                weekday: numberOr(definition.weekday, -1),
+                commonEventId: numberOr(definition.commonEventId, 0)
+            };
+        }
+
+        register(definition) {
+            const holiday = this.normalize(definition);
+            registeredHolidays.push(holiday);
+            return holiday;
+        }
+
+        unregister(name) {
+            const index = registeredHolidays.findIndex(holiday => holiday.name === name);
+            if (index >= 0) {
+                registeredHolidays.splice(index, 1);
+            }
+        }
+
+        getAll() {
+            return this.holidays.concat(registeredHolidays);
+        }
+
+        matches(holiday, date) {
+            if (holiday.season >= 0 && holiday.season !== date.season) return false;
+            if (holiday.month > 0 && holiday.month !== date.month) return false;
+            if (holiday.weekday >= 0 && holiday.weekday !== date.weekday) return false;
+            if (holiday.day > 0) {
+                const day = holiday.month > 0 ? date.day : date.dayOfSeason;
+                if (holiday.day !== day) return false;
+            }
+            return true;
+        }
+
+        getHolidaysOn(date) {
+            return this.getAll().filter(holiday => this.matches(holiday, date));
+        }
+
+        // The next holidays after the day containing fromTime, in date order
+        getUpcoming(count, fromTime) {
+            const upcoming = [];
+            const firstDay = Math.floor(fromTime / MINUTES_PER_DAY) + 1;
+            // A year plus a week covers every date and weekday rule at least once
+            const lastDay = firstDay + this.time.calendar.daysPerYear + this.time.calendar.weekdays.length;
+
+            for (let dayIndex = firstDay; dayIndex < lastDay && upcoming.length < count; dayIndex++) {
+                const date = this.time.getDateInfo(dayIndex * MINUTES_PER_DAY);
+                this.getHolidaysOn(date).forEach(holiday => {
+                    if (upcoming.length < count) {
+                        upcoming.push({ name: holiday.name, holiday, date });
+                    }
+                });
+            }
+            return upcoming;
+        }
+    }
+
+    // Play statistics, persisted with the time system data
+    class TimeStatistics {
+        constructor(data) {
+            this.data = Object.assign(TimeStatistics.defaults(), data || {});
+            this._lastTick = null;
+            this._segment = null;
+        }
+
+        // Real times are in milliseconds, game times in game minutes
+        static defaults() {
+            return {
+                gameMinutes: 0,
+                daysPassed: 0,
+                playTime: 0,
+                menuTime: 0,
+                battleTime: 0,
+                nightsSlept: 0,
+                minutesSlept: 0,
+                passOuts: 0,
+                maps: {}
+            };
+        }
+
+        getMapEntry(mapId) {
+            if (!this.data.maps[mapId]) {
+                this.data.maps[mapId] = { gameMinutes: 0, playTime: 0, visits: 0 };
+            }
+            return this.data.maps[mapId];
+        }
+
+        // Only forward movement of the clock counts
+        addGameTime(previousTime, currentTime, mapId) {
+            if (currentTime <= previousTime) return;
+            const minutes = currentTime - previousTime;
+            this.data.gameMinutes += minutes;
+            this.data.daysPassed += Math.floor(currentTime / MINUTES_PER_DAY) - Math.floor(previousTime / MINUTES_PER_DAY);
+            if (mapId > 0) {
+                this.getMapEntry(mapId).gameMinutes += minutes;
+            }
+        }
+
+        // Called every map frame; stalls longer than a second are not counted
+        tickPlayTime(counting, mapId) {
+            const now = Date.now();
+            if (counting && this._lastTick !== null) {
+                const elapsed = Math.min(now - this._lastTick, 1000);
+                this.data.playTime += elapsed;
+                if (mapId > 0) {
+                    this.getMapEntry(mapId).playTime += elapsed;
+                }
+            }
+            this._lastTick = now;
+        }
+
+        // category is 'menu', 'battle' or null for scenes that are not tracked
+        onSceneChange(category) {
+            const now = Date.now();
+            if (this._segment) {
+                const key = this._segment.category === 'battle' ? 'battleTime' : 'menuTime';
+                this.data[key] += now - this._segment.start;
+            }
+            this._segment = category ? { category, start: now } : null;
+            this._lastTick = null;
+        }
+
+        addMapVisit(mapId) {
+            this.getMapEntry(mapId).visits++;
+        }
+
+        // Naps don't count as nights
+        addSleep(minutes, nap) {
+            if (!nap) {
+                this.data.nightsSlept++;
+            }
+            this.data.minutesSlept += minutes;
+        }
+
+        addPassOut() {
+            this.data.passOuts++;
+        }
+
+        get(name) {
+            return name === 'maps' ? this.getMaps() : this.data[name];
+        }
+
+        getAll() {
+            const stats = Object.assign({}, this.data);
+            delete stats.maps;
+            return stats;
+        }
+
+        getMap(mapId) {
+            return Object.assign({ mapId: Number(mapId) }, this.getMapEntry(mapId));
+        }
+
+        // All visited maps, longest played first
+        getMaps() {
+            return Object.keys(this.data.maps)
+                .map(mapId => this.getMap(mapId))
+                .sort((a, b) => b.playTime - a.playTime);
+        }
+    }
+
+    // Time System Class
+    class TimeSystem {
+        constructor() {
+            // Initialize with a temporary logger
+            this.logger = {
+                debug: () => {},
+                info: () => {},
+                warn: () => {},
+                error: () => {},
+                group: () => {},
+                groupEnd: () => {}
+            };
+
+            // Try to get the real logger if available
+            if (window.HDB_Logger) {
+                console.log('Initializing time system with logger');
+                this.logger = window.HDB_Logger.forPlugin('HDB_Core_TimeClock');
+                // Test the logger
+                this.logger.info('Time system logger initialized');
+            } else {
+                console.warn('Logger not available for time system');
+            }
+
+            // Initialize time tracking
+            this.currentTime = 0;
+            this.lastUpdateTime = Date.now();
+            this.accumulatedMinutes = 0; // Track fractional minutes
+            this._lastFrameCount = null; // Frame clock baseline
+            this.systemClockOffset = null; // Game minutes ahead of the wall clock (system mode)
+            this._timeAway = null; // Real ms since the loaded save, caught up on the first update
+
+            // Scheduled triggers (persisted) and their runtime callbacks
+            this.schedules = [];
+            this.nextScheduleId = 1;
+            this.pendingCommonEvents = [];
+            this.scheduleCallbacks = new Map();
+
+            // Countdown timers (persisted) and their runtime callbacks
+            this.timers = [];
+            this.nextTimerId = 1;
+            this.timerCallbacks = new Map();
+
+            // End of day tracking (persisted)
+            this.dayEndReachedDay = 0;
+            this.pendingPassOut = false;
+
+            // Faded time skip in progress
+            this._advance = null;
+
+            // Play statistics (persisted)
+            this.statistics = new TimeStatistics();
+
+            // Load parameters first
+            this.loadParameters();
+            
+            // Then initialize the rest
+            this.initialize();
+        }
+
+        initialize() {
+            console.log('Initializing time system');
+            this.logger.group('Time System Initialization');
             
             // Initialize save data
             if (window.$gameHDB && window.$gameHDB.save) {
+                // Data that exists before the defaults are added came from a save file
+                const isLoadedGame = !!window.$gameHDB.save.getPluginData('timeSystem');
                 window.$gameHDB.save.initializePlugin('timeSystem', {
                     currentTime: 0,
                     currentDay: 1,
@@ -142,20 +1085,42 @@
                     currentYear: this.startingYear,
                     lastUpdateTime: Date.now(),
                     totalMenuTime: 0,
-                    menuOpenTime: null
+                    menuOpenTime: null,
+                    customRealMinutesPerGameDay: null,
+                    schedules: [],
+                    nextScheduleId: 1,
+                    pendingCommonEvents: [],
+                    timers: [],
+                    nextTimerId: 1,
+                    systemClockOffset: null,
+                    statistics: TimeStatistics.defaults(),
+                    dayEndReachedDay: 0,
+                    pendingPassOut: false
                 });
 
                 // Load saved data
                 const savedData = window.$gameHDB.save.getPluginData('timeSystem');
                 if (savedData) {
-                    // Calculate real time passed since last save
+                    // Calculate real time passed since the save was written.
+                    // lastUpdateTime is not kept current in every clock mode or in menus,
+                    // so it only stands in for saves made before savedAt existed.
                     const now = Date.now();
-                    const realTimePassed = now - savedData.lastUpdateTime;
+                    const savedAt = savedData.savedAt || savedData.lastUpdateTime;
+                    const realTimePassed = isLoadedGame ? Math.max(0, now - savedAt) : 0;
                     
                     // Adjust lastUpdateTime to account for real time passed
                     savedData.lastUpdateTime = now;
+                    // A menu that was open when saving is not open anymore
+                    savedData.menuOpenTime = null;
                     
                     Object.assign(this, savedData);
+                    this.statistics = new TimeStatistics(savedData.statistics);
+                    this._timeAway = realTimePassed;
+                    if (isLoadedGame) {
+                        this.resumeClockTracking();
+                    }
+                    this.updateTimeMultiplier();
+                    this.syncGameBindings();
                     this.logger.info('Loaded saved time data', {
                         ...savedData,
                         realTimePassed,
@@ -194,13 +1159,50 @@
             // Calculate timeMultiplier: (game minutes per day) / (real seconds per day)
             // game minutes per day = 1440 (24 hours * 60 minutes)
             // real seconds per day = realMinutesPerGameDay * 60
-            this.timeMultiplier = 1440 / (realMinutesPerGameDay * 60);
+            this.realMinutesPerGameDay = realMinutesPerGameDay;
+            this.customRealMinutesPerGameDay = null; // Set by the SetTimeScale command
+            this.updateTimeMultiplier();
             
             // Load time limit parameters
             this.dayEndHour = Number(params.dayEndHour || 23);
             this.dayStartHour = Number(params.dayStartHour || 6);
+            this.transitionFadeDuration = Number(params.transitionFadeDuration || 24);
+            this.endOfDayPolicy = params.endOfDayPolicy || 'stop';
+            this.endOfDayCommonEvent = Number(params.endOfDayCommonEvent || 0);
+            this.passOut = {
+                mapId: Number(params.passOutMapId || 0),
+                x: Number(params.passOutX || 0),
+                y: Number(params.passOutY || 0),
+                goldPenalty: Number(params.passOutGoldPenalty || 0),
+                hpPenalty: Number(params.passOutHpPenalty || 0)
+            };
+            this.rest = {
+                hpPerHour: Number(params.restHpPerHour || 0),
+                mpPerHour: Number(params.restMpPerHour || 0),
+                stateHours: Number(params.restStateHours || 0),
+                lateHour: Number(params.lateSleepHour === undefined ? 24 : params.lateSleepHour),
+                latePenalty: Number(params.lateSleepPenalty === undefined ? 25 : params.lateSleepPenalty)
+            };
             this.isTimePaused = false;
             
+            // Pause rules
+            this.pauseScenes = params.pauseScenes ? JSON.parse(params.pauseScenes) : DEFAULT_PAUSE_SCENES.slice();
+            this.pauseDuringEvents = params.pauseDuringEvents === 'true';
+            this.pauseDuringMessages = params.pauseDuringMessages === 'true';
+            
+            // Clock source
+            this.clockMode = (params.clockMode || 'realtime').toLowerCase();
+            this.maxCatchUpFrames = Number(params.maxCatchUpFrames || 10);
+            
+            // Time away from the game
+            this.offline = {
+                enabled: params.offlineProgress === 'true',
+                ratio: Number(params.offlineRatio || 1),
+                capHours: Number(params.offlineCapHours || 0),
+                commonEventId: Number(params.awayCommonEvent || 0),
+                variableId: Number(params.awayMinutesVariable || 0)
+            };
+            
             console.log('Time multiplier calculation:', {
                 rawValue: rawRealMinutesPerGameDay,
                 parsedValue: realMinutesPerGameDay,
@@ -214,385 +1216,1818 @@
             });
             
             this.seasonLength = Number(params.seasonLength || 28);
-            this.startingSeason = Number(params.startingSeason || 0);
             this.startingYear = Number(params.startingYear || 1);
+            this.calendar = this.buildCalendar(params);
+            this.startingSeason = Math.min(Number(params.startingSeason || 0), this.calendar.seasons.length - 1);
+            
+            // Days between the start of year 1 and the first day of the game
+            this.calendarOffset = this.calendar.seasons[this.startingSeason].startDay;
+            
+            this.holidays = new HolidayRegistry(this, params);
+            
+            // Variable/switch bindings
+            this.variableBindings = {
+                minute: Number(params.minuteVariable || 0),
+                hour: Number(params.hourVariable || 0),
+                day: Number(params.dayVariable || 0),
+                weekday: Number(params.weekdayVariable || 0),
+                season: Number(params.seasonVariable || 0),
+                year: Number(params.yearVariable || 0)
+            };
+            // Also read configs saved while the parameter was briefly called timePeriods
+            const periodsParam = params.periodSwitches !== undefined ? params.periodSwitches : params.timePeriods;
+            this.timePeriods = periodsParam === undefined ? DEFAULT_TIME_PERIODS :
+                JSON.parse(periodsParam || '[]').map(json => {
+                    const period = JSON.parse(json);
+                    return {
+                        name: period.name,
+                        switchId: Number(period.switchId || 0),
+                        startHour: Number(period.startHour || 0),
+                        endHour: Number(period.endHour || 0)
+                    };
+                });
             
             this.logger.info('Time System Parameters', {
                 realMinutesPerGameDay,
-                timeMultiplier: this.timeMultiplier,
-                dayEndHour: this.dayEndHour,
-                dayStartHour: this.dayStartHour,
-                seasonLength: this.seasonLength,
-                startingSeason: this.startingSeason,
-                startingYear: this.startingYear,
-                rawParams: params
+                timeMultiplier: this.timeMultiplier,
+                dayEndHour: this.dayEndHour,
+                dayStartHour: this.dayStartHour,
+                endOfDayPolicy: this.endOfDayPolicy,
+                passOut: this.passOut,
+                rest: this.rest,
+                pauseScenes: this.pauseScenes,
+                pauseDuringEvents: this.pauseDuringEvents,
+                pauseDuringMessages: this.pauseDuringMessages,
+                clockMode: this.clockMode,
+                maxCatchUpFrames: this.maxCatchUpFrames,
+                offline: this.offline,
+                seasonLength: this.seasonLength,
+                calendar: this.calendar,
+                startingSeason: this.startingSeason,
+                startingYear: this.startingYear,
+                variableBindings: this.variableBindings,
+                timePeriods: this.timePeriods,
+                rawParams: params
+            });
+        }
+
+        // Build season/month/weekday tables from the calendar parameters
+        buildCalendar(params) {
+            const seasonParams = params.seasons ? JSON.parse(params.seasons) : [];
+            const seasonDefs = seasonParams.length > 0 ?
+                seasonParams.map(json => JSON.parse(json)) :
+                DEFAULT_SEASONS.map(name => ({ name, months: '[]' }));
+
+            const calendar = { seasons: [], months: [], weekdays: [], daysPerYear: 0 };
+
+            seasonDefs.forEach((seasonDef, seasonIndex) => {
+                let months = JSON.parse(seasonDef.months || '[]').map(json => {
+                    const month = JSON.parse(json);
+                    return { name: month.name || seasonDef.name, days: Math.max(1, Number(month.days || 1)) };
+                });
+                if (months.length === 0) {
+                    months = [{ name: seasonDef.name, days: this.seasonLength }];
+                }
+
+                const season = {
+                    name: seasonDef.name,
+                    startDay: calendar.daysPerYear,
+                    length: 0,
+                    firstMonth: calendar.months.length
+                };
+                months.forEach(month => {
+                    calendar.months.push({
+                        name: month.name,
+                        days: month.days,
+                        season: seasonIndex,
+                        startDay: calendar.daysPerYear
+                    });
+                    calendar.daysPerYear += month.days;
+                    season.length += month.days;
+                });
+                calendar.seasons.push(season);
+            });
+
+            const weekdays = params.weekdays ? JSON.parse(params.weekdays) : [];
+            calendar.weekdays = weekdays.length > 0 ? weekdays : DEFAULT_WEEKDAYS.slice();
+
+            return calendar;
+        }
+
+        updateTimeMultiplier() {
+            const realMinutes = this.customRealMinutesPerGameDay || this.realMinutesPerGameDay;
+            this.timeMultiplier = MINUTES_PER_DAY / (realMinutes * 60);
+        }
+
+        initializeEvents() {
+            // The emitter is shared by every TimeSystem instance, so listeners
+            // registered at plugin load survive new game and load
+            this.events = timeEvents;
+            this.events.logger = this.logger;
+
+            // Set-like channels kept for plugins that use onTimeUpdate.add(...)
+            this.onTimeUpdate = this.events.channel('timeUpdate');
+            this.onDayChange = this.events.channel('dayChange');
+            this.onSeasonChange = this.events.channel('seasonChange');
+            this.onYearChange = this.events.channel('yearChange');
+            this.onMinuteChange = this.events.channel('minuteChange');
+            this.onHourChange = this.events.channel('hourChange');
+            this.onPeriodChange = this.events.channel('periodChange');
+            this.onHolidayStart = this.events.channel('holidayStart');
+            this.onDayEndReached = this.events.channel('dayEndReached');
+            this.onTimeAway = this.events.channel('timeAway');
+            this.onSleepStart = this.events.channel('sleepStart');
+            this.onWake = this.events.channel('wake');
+        }
+
+        // Generic event API, see TimeEventEmitter
+        on(event, callback, options) {
+            return this.events.on(event, callback, options);
+        }
+
+        once(event, callback, options) {
+            return this.events.once(event, callback, options);
+        }
+
+        off(event, callback) {
+            this.events.off(event, callback);
+        }
+
+        update() {
+            // Log update start
+            this.logger.debug('Time System Update', {
+                currentTime: this.currentTime,
+                lastUpdateTime: this.lastUpdateTime
+            });
+
+            // Count real play time while the game is not paused
+            this.statistics.tickPlayTime(!this.isGamePaused(), this.getCurrentMapId());
+
+            // Catch up on time spent away after loading a save
+            this.updateTimeAway();
+
+            // Update time
+            this.updateTime();
+
+            // Drive faded time skips
+            this.updateAdvance();
+
+            // Pass out once the player is free to move
+            this.updatePassOut();
+
+            // Run common events queued by schedules, one at a time
+            this.flushCommonEvents();
+
+            // Log update end
+            this.logger.debug('Time System Update Complete', {
+                newTime: this.currentTime,
+                newLastUpdateTime: this.lastUpdateTime
+            });
+        }
+
+        updateTime() {
+            if (this.clockMode === 'frames') {
+                this.updateFrameClock();
+            } else if (this.clockMode === 'system') {
+                this.updateSystemClock();
+            } else {
+                this.updateRealTimeClock();
+            }
+
+            // Always emit visual update with current accumulated time
+            const visualTime = this.currentTime + this.accumulatedMinutes;
+            const visualDate = this.getDateInfo(visualTime);
+
+            // Emit time update event with visual time
+            this.emitTimeUpdate({
+                time: visualTime,
+                day: visualDate.totalDays,
+                season: visualDate.season,
+                year: visualDate.year,
+                hour: visualDate.hour,
+                minute: Math.floor(visualTime % MINUTES_PER_HOUR)
+            });
+        }
+
+        canTimeFlow() {
+            // Not in a menu or battle, not at the time limit, not paused and not frozen by the map
+            return !this.isGamePaused() && !this.isAtTimeLimit() && !this.isTimePaused &&
+                !this.getMapRule().noTimeFlow && !this.isAdvancing();
+        }
+
+        // Real-time clock: advances by Date.now() deltas, checked once per second
+        updateRealTimeClock() {
+            const now = Date.now();
+            const realTimeDiff = now - this.lastUpdateTime;
+            const mapRule = this.getMapRule();
+
+            // Time spent paused or frozen never counts later
+            if (!this.canTimeFlow()) {
+                this.lastUpdateTime = now;
+                return;
+            }
+            
+            if (realTimeDiff >= 1000) {
+                // Calculate game minutes based on real time difference using timeMultiplier
+                const newMinutes = (realTimeDiff / 1000) * this.timeMultiplier * mapRule.timeScale;
+                this.accumulatedMinutes += newMinutes;
+                this.lastUpdateTime = now; // The remainder is kept in accumulatedMinutes
+                
+                this.logger.info('Time Update Start', {
+                    realTimeDiff,
+                    newMinutes,
+                    accumulatedMinutes: this.accumulatedMinutes,
+                    currentTime: this.currentTime,
+                    timeMultiplier: this.timeMultiplier,
+                    mapTimeScale: mapRule.timeScale,
+                    now: now
+                });
+
+                this.applyAccumulatedMinutes();
+            }
+        }
+
+        // Frame clock: advances by rendered frames so the same number of frames
+        // always produces the same in-game time. Catch-up after a stall is capped.
+        updateFrameClock() {
+            const frameCount = Graphics.frameCount;
+            if (this._lastFrameCount === null || frameCount < this._lastFrameCount) {
+                this._lastFrameCount = frameCount;
+            }
+
+            const elapsedFrames = Math.min(frameCount - this._lastFrameCount, this.maxCatchUpFrames);
+            this._lastFrameCount = frameCount;
+
+            if (elapsedFrames > 0 && this.canTimeFlow()) {
+                const newMinutes = elapsedFrames * this.timeMultiplier * this.getMapRule().timeScale / FRAMES_PER_SECOND;
+                // Round away floating point drift so whole minutes land on exact frames
+                this.accumulatedMinutes = Math.round((this.accumulatedMinutes + newMinutes) * 1e6) / 1e6;
+                this.applyAccumulatedMinutes();
+            }
+        }
+
+        // System clock: mirrors the computer's clock, one game minute per real minute.
+        // Pause rules don't apply; missed minutes are replayed like a time skip,
+        // or jumped over at once when catching up on time away.
+        updateSystemClock(jump = false) {
+            if (this.isAdvancing()) return;
+
+            const wallMinutes = this.getWallClockMinutes();
+            if (this.systemClockOffset === null) {
+                // First sync keeps the game day and takes the time of day from the wall clock
+                let syncedTime = this.currentTime - this.currentTime % MINUTES_PER_DAY + wallMinutes % MINUTES_PER_DAY;
+                if (syncedTime < this.currentTime) {
+                    syncedTime += MINUTES_PER_DAY;
+                }
+                this.systemClockOffset = syncedTime - wallMinutes;
+            }
+
+            const minutes = wallMinutes + this.systemClockOffset - this.currentTime;
+            if (minutes > 0) {
+                if (jump) {
+                    this.jumpTime(minutes);
+                } else {
+                    this.advanceTime(minutes);
+                }
+            }
+        }
+
+        // Local minutes since the epoch
+        getWallClockMinutes() {
+            const now = new Date();
+            return Math.floor((now.getTime() - now.getTimezoneOffset() * 60000) / 60000);
+        }
+
+        // Advance the clock once for the real time since the loaded save was made
+        updateTimeAway() {
+            if (this._timeAway === null || this.isAdvancing()) return;
+            if (this.clockMode !== 'system' && !this.offline.enabled) {
+                this._timeAway = null;
+                return;
+            }
+
+            const realTimePassed = this._timeAway;
+            const startTime = this.currentTime;
+            const startDay = this.currentDay;
+            let capped = false;
+            this._timeAway = null;
+
+            if (this.clockMode === 'system') {
+                // The first sync of a new game is not time away
+                const firstSync = this.systemClockOffset === null;
+                this.updateSystemClock(true);
+                if (firstSync) return;
+            } else {
+                let minutes = Math.floor(realTimePassed / 1000 * this.timeMultiplier * this.offline.ratio);
+                const cap = this.offline.capHours * MINUTES_PER_HOUR;
+                if (cap > 0 && minutes > cap) {
+                    minutes = cap;
+                    capped = true;
+                }
+                if (minutes > 0) {
+                    this.jumpTime(minutes);
+                }
+            }
+
+            const gameMinutes = this.currentTime - startTime;
+            if (gameMinutes <= 0) return;
+
+            const summary = {
+                realTimePassed,
+                gameMinutes,
+                days: this.currentDay - startDay,
+                capped,
+                fromTime: startTime,
+                toTime: this.currentTime
+            };
+            this.logger.info('Caught up on time away', summary);
+
+            if (this.offline.variableId > 0 && typeof $gameVariables !== 'undefined' && $gameVariables) {
+                $gameVariables.setValue(this.offline.variableId, gameMinutes);
+            }
+            if (this.offline.commonEventId > 0) {
+                this.pendingCommonEvents.push(this.offline.commonEventId);
+            }
+            this.emitTimeAway(summary);
+        }
+
+        // Move whole accumulated minutes onto the clock, keeping the remainder
+        applyAccumulatedMinutes() {
+            const gameMinutes = Math.floor(this.accumulatedMinutes);
+            if (gameMinutes <= 0) return;
+
+            this.accumulatedMinutes -= gameMinutes;
+            const previousTime = this.currentTime;
+            this.currentTime += gameMinutes;
+            
+            // Recalculate calendar and clock, fire schedules and emit change events
+            this.applyTimeChange(previousTime);
+            
+            this.logger.info('Time Updated', {
+                newCurrentTime: this.currentTime,
+                currentDay: this.currentDay,
+                currentSeason: this.currentSeason,
+                currentYear: this.currentYear,
+                clockMode: this.clockMode,
+                timeMultiplier: this.timeMultiplier,
+                accumulatedMinutes: this.accumulatedMinutes
+            });
+        }
+
+        // Everything that has to happen after currentTime changes.
+        // Shared by updateTime and all manual time changes.
+        applyTimeChange(previousTime) {
+            this.statistics.addGameTime(previousTime, this.currentTime, this.getCurrentMapId());
+            this.refreshCalendar();
+            this.refreshClock();
+            this.syncGameBindings();
+
+            if (this.currentTime < previousTime) {
+                this.rewindSchedules();
+            } else {
+                this.processTriggers();
+            }
+
+            this.checkDayEnd();
+        }
+
+        // Fire the end-of-day handling once per day when dayEndHour is reached
+        checkDayEnd() {
+            if (this._suppressDayEnd) return;
+            const hour = Math.floor((this.currentTime % MINUTES_PER_DAY) / MINUTES_PER_HOUR);
+            if (hour < this.dayEndHour || this.dayEndReachedDay === this.currentDay) return;
+
+            this.dayEndReachedDay = this.currentDay;
+            this.logger.info('Day end reached', {
+                day: this.currentDay,
+                hour,
+                policy: this.endOfDayPolicy
+            });
+
+            if (this.endOfDayCommonEvent > 0) {
+                this.pendingCommonEvents.push(this.endOfDayCommonEvent);
+            }
+            if (this.endOfDayPolicy === 'passOut') {
+                this.pendingPassOut = true;
+            }
+
+            this.emitDayEndReached({ day: this.currentDay, hour, policy: this.endOfDayPolicy });
+        }
+
+        updatePassOut() {
+            if (!this.pendingPassOut) return;
+            if (typeof $gameMap === 'undefined' || !$gameMap || $gameMap.isEventRunning() ||
+                $gamePlayer.isTransferring() || this.isAdvancing()) {
+                return;
+            }
+
+            this.pendingPassOut = false;
+            this.statistics.addPassOut();
+            this.logger.info('Passing out', this.passOut);
+
+            if (this.passOut.mapId > 0) {
+                $gamePlayer.reserveTransfer(this.passOut.mapId, this.passOut.x, this.passOut.y, 0, 0);
+            }
+            if (this.passOut.goldPenalty > 0) {
+                $gameParty.loseGold(Math.floor($gameParty.gold() * this.passOut.goldPenalty / 100));
+            }
+            if (this.passOut.hpPenalty > 0) {
+                $gameParty.members().forEach(actor => {
+                    const loss = Math.floor(actor.mhp * this.passOut.hpPenalty / 100);
+                    actor.setHp(Math.max(1, actor.hp - loss));
+                });
+            }
+
+            this.sleepUntilNextDay({ rest: false });
+        }
+
+        // A loaded game resumes mid-day: its day, hour and period have already begun,
+        // so the first update must not start them (and their holidays) again
+        resumeClockTracking() {
+            this.currentDay = Math.floor(this.currentTime / MINUTES_PER_DAY) + 1;
+            this._lastDay = this.currentDay;
+            this._lastClockTime = this.currentTime;
+            this._lastHourIndex = Math.floor(this.currentTime / MINUTES_PER_HOUR);
+            const period = this.getPeriodAt(this._lastHourIndex % HOURS_PER_DAY);
+            this._lastPeriod = period ? period.name : null;
+        }
+
+        // Emit minute/hour/period events if they changed since the last check.
+        // Moving forward emits every hour (and period) crossed on the way, in order;
+        // moving back or jumping emits the hour arrived at.
+        refreshClock() {
+            const dayMinutes = this.currentTime % MINUTES_PER_DAY;
+            const hour = Math.floor(dayMinutes / MINUTES_PER_HOUR);
+            const minute = dayMinutes % MINUTES_PER_HOUR;
+
+            if (this.currentTime !== this._lastClockTime) {
+                this._lastClockTime = this.currentTime;
+                this.emitMinuteChange({ time: this.currentTime, hour, minute });
+            }
+
+            // Hours since the clock started, so a jump of whole days still counts
+            const hourIndex = Math.floor(this.currentTime / MINUTES_PER_HOUR);
+            const lastIndex = this._lastHourIndex;
+            if (lastIndex === undefined || hourIndex < lastIndex || this._jumping) {
+                this.enterHour(hourIndex);
+            } else {
+                for (let index = lastIndex + 1; index <= hourIndex; index++) {
+                    this.enterHour(index);
+                }
+            }
+        }
+
+        enterHour(hourIndex) {
+            const hour = hourIndex % HOURS_PER_DAY;
+            if (hourIndex !== this._lastHourIndex) {
+                const previousHour = this._lastHourIndex === undefined ? undefined : this._lastHourIndex % HOURS_PER_DAY;
+                this._lastHourIndex = hourIndex;
+                this.emitHourChange({ hour, previousHour });
+            }
+
+            const period = this.getPeriodAt(hour);
+            const periodName = period ? period.name : null;
+            if (periodName !== this._lastPeriod) {
+                const previousPeriod = this._lastPeriod;
+                this._lastPeriod = periodName;
+                this.logger.info('Time period changed', { period: periodName, previousPeriod });
+                this.emitPeriodChange({ period: periodName, previousPeriod, hour });
+            }
+        }
+
+        // Recalculate the current day from currentTime and emit day/season/year
+        // events if it changed
+        refreshCalendar() {
+            this.currentDay = Math.floor(this.currentTime / MINUTES_PER_DAY) + 1;
+            
+            if (this.currentDay !== this._lastDay) {
+                this.handleDayChange();
+                this._lastDay = this.currentDay;
+            }
+        }
+
+        handleDayChange() {
+            const date = this.getDateInfo();
+            const oldSeason = this.currentSeason;
+            const oldYear = this.currentYear;
+            this.currentSeason = date.season;
+            this.currentYear = date.year;
+
+            // Check for season change
+            if (this.currentSeason !== oldSeason || this.currentYear !== oldYear) {
+                this.handleSeasonChange();
+            }
+
+            // Check for year change
+            if (this.currentYear !== oldYear) {
+                this.handleYearChange();
+            }
+
+            // Emit day change event
+            this.emitDayChange();
+
+            // Start any holidays that fall on the new day
+            this.holidays.getHolidaysOn(date).forEach(holiday => {
+                this.logger.info('Holiday started', { holiday: holiday.name, day: this.currentDay });
+                if (holiday.commonEventId > 0) {
+                    this.pendingCommonEvents.push(holiday.commonEventId);
+                }
+                this.emitHolidayStart({ holiday: holiday.name, date });
+            });
+        }
+
+        handleSeasonChange() {
+            this.emitSeasonChange();
+        }
+
+        handleYearChange() {
+            this.emitYearChange();
+        }
+
+        emitTimeUpdate(timeData) {
+            // If no timeData provided, use current game time
+            if (!timeData) {
+                timeData = {
+                    time: this.currentTime,
+                    day: this.currentDay,
+                    season: this.currentSeason,
+                    year: this.currentYear,
+                    hour: Math.floor((this.currentTime % (HOURS_PER_DAY * MINUTES_PER_HOUR)) / MINUTES_PER_HOUR),
+                    minute: this.currentTime % MINUTES_PER_HOUR
+                };
+            }
+            
+            this.events.emit('timeUpdate', timeData);
+        }
+
+        emitDayChange() {
+            this.events.emit('dayChange', {
+                day: this.currentDay,
+                season: this.currentSeason,
+                year: this.currentYear
+            });
+        }
+
+        emitSeasonChange() {
+            this.events.emit('seasonChange', {
+                season: this.currentSeason,
+                year: this.currentYear
+            });
+        }
+
+        emitYearChange() {
+            this.events.emit('yearChange', {
+                year: this.currentYear
+            });
+        }
+
+        emitMinuteChange(data) {
+            this.events.emit('minuteChange', data);
+        }
+
+        emitHourChange(data) {
+            this.events.emit('hourChange', data);
+        }
+
+        emitPeriodChange(data) {
+            this.events.emit('periodChange', data);
+        }
+
+        emitHolidayStart(data) {
+            this.events.emit('holidayStart', data);
+        }
+
+        emitDayEndReached(data) {
+            this.events.emit('dayEndReached', data);
+        }
+
+        emitTimeAway(data) {
+            this.events.emit('timeAway', data);
+        }
+
+        emitSleepStart(data) {
+            this.events.emit('sleepStart', data);
+        }
+
+        emitWake(data) {
+            this.events.emit('wake', data);
+        }
+
+        saveData() {
+            if (window.$gameHDB && window.$gameHDB.save) {
+                const timeData = {
+                    currentTime: this.currentTime,
+                    currentDay: this.currentDay,
+                    currentSeason: this.currentSeason,
+                    currentYear: this.currentYear,
+                    lastUpdateTime: this.lastUpdateTime,
+                    savedAt: Date.now(),
+                    totalMenuTime: this.totalMenuTime || 0,
+                    menuOpenTime: this.menuOpenTime,
+                    customRealMinutesPerGameDay: this.customRealMinutesPerGameDay,
+                    schedules: this.schedules,
+                    nextScheduleId: this.nextScheduleId,
+                    pendingCommonEvents: this.pendingCommonEvents,
+                    timers: this.timers,
+                    nextTimerId: this.nextTimerId,
+                    systemClockOffset: this.systemClockOffset,
+                    statistics: this.statistics.data,
+                    dayEndReachedDay: this.dayEndReachedDay,
+                    pendingPassOut: this.pendingPassOut
+                };
+                window.$gameHDB.save.setPluginData('timeSystem', timeData);
+                this.logger.info('Saved time data', timeData);
+            }
+        }
+
+        loadData() {
+            if (window.$gameHDB && window.$gameHDB.save) {
+                const savedData = window.$gameHDB.save.getPluginData('timeSystem');
+                if (savedData) {
+                    Object.assign(this, savedData);
+                    this.statistics = new TimeStatistics(savedData.statistics);
+                    this.updateTimeMultiplier();
+                    this.syncGameBindings();
+                    this.logger.info('Loaded time data', savedData);
+                }
+            }
+        }
+
+        // Public API methods
+
+        // Calendar breakdown of a point in time (defaults to the current time)
+        getDateInfo(totalMinutes = this.currentTime) {
+            const calendar = this.calendar;
+            const dayIndex = Math.floor(totalMinutes / MINUTES_PER_DAY);
+            const calendarDay = dayIndex + this.calendarOffset;
+            const dayOfYear = calendarDay % calendar.daysPerYear;
+            const monthIndex = calendar.months.findIndex(month => dayOfYear < month.startDay + month.days);
+            const month = calendar.months[monthIndex];
+            const season = calendar.seasons[month.season];
+            const weekday = calendarDay % calendar.weekdays.length;
+            const dayMinutes = Math.floor(totalMinutes) % MINUTES_PER_DAY;
+
+            return {
+                year: Math.floor(calendarDay / calendar.daysPerYear) + this.startingYear,
+                season: month.season,
+                seasonName: season.name,
+                month: monthIndex + 1,
+                monthName: month.name,
+                day: dayOfYear - month.startDay + 1,
+                dayOfSeason: dayOfYear - season.startDay + 1,
+                dayOfYear: dayOfYear + 1,
+                totalDays: dayIndex + 1,
+                weekday,
+                weekdayName: calendar.weekdays[weekday],
+                hour: Math.floor(dayMinutes / MINUTES_PER_HOUR),
+                minute: dayMinutes % MINUTES_PER_HOUR
+            };
+        }
+
+        getCalendar() {
+            return this.calendar;
+        }
+
+        getCurrentTime() {
+            // Ensure we have valid data
+            if (!this.currentTime) {
+                this.currentTime = 0;
+                this.currentDay = 1;
+                this.currentSeason = this.startingSeason;
+                this.currentYear = this.startingYear;
+                this.lastUpdateTime = Date.now();
+                this.totalMenuTime = 0;
+                this.menuOpenTime = null;
+            }
+
+            const date = this.getDateInfo();
+
+            this.logger.debug('Time Calculation', {
+                totalMinutes: this.currentTime,
+                date
+            });
+
+            return Object.assign(date, {
+                period: this.getCurrentPeriod(),
+                holiday: this.holidays.getHolidaysOn(date).map(holiday => holiday.name).join(', ')
+            });
+        }
+
+        // Mirror the clock into the configured game variables and period switches
+        syncGameBindings() {
+            if (typeof $gameVariables === 'undefined' || !$gameVariables ||
+                typeof $gameSwitches === 'undefined' || !$gameSwitches) {
+                return;
+            }
+
+            const timeData = this.getCurrentTime();
+
+            Object.keys(this.variableBindings).forEach(key => {
+                const variableId = this.variableBindings[key];
+                if (variableId > 0 && $gameVariables.value(variableId) !== timeData[key]) {
+                    $gameVariables.setValue(variableId, timeData[key]);
+                }
+            });
+
+            this.timePeriods.forEach(period => {
+                if (period.switchId <= 0) return;
+                const active = this.isHourInRange(timeData.hour, period.startHour, period.endHour);
+                if ($gameSwitches.value(period.switchId) !== active) {
+                    $gameSwitches.setValue(period.switchId, active);
+                }
+            });
+
+            this.timers.forEach(timer => {
+                if (timer.variableId > 0) {
+                    const remaining = this.getTimerRemaining(timer.id);
+                    if ($gameVariables.value(timer.variableId) !== remaining) {
+                        $gameVariables.setValue(timer.variableId, remaining);
+                    }
+                }
+            });
+        }
+
+        getPeriodAt(hour) {
+            return this.timePeriods.find(period => this.isHourInRange(hour, period.startHour, period.endHour)) || null;
+        }
+
+        getCurrentPeriod() {
+            const hour = Math.floor((this.currentTime % MINUTES_PER_DAY) / MINUTES_PER_HOUR);
+            const period = this.getPeriodAt(hour);
+            return period ? period.name : null;
+        }
+
+        // Check if an hour is within [startHour, endHour), wrapping past midnight
+        isHourInRange(hour, startHour, endHour) {
+            if (startHour <= endHour) {
+                return hour >= startHour && hour < endHour;
+            }
+            return hour >= startHour || hour < endHour;
+        }
+
+        addTimeUpdateListener(callback, options) {
+            return this.events.on('timeUpdate', callback, options);
+        }
+
+        removeTimeUpdateListener(callback) {
+            this.events.off('timeUpdate', callback);
+        }
+
+        addDayChangeListener(callback, options) {
+            return this.events.on('dayChange', callback, options);
+        }
+
+        removeDayChangeListener(callback) {
+            this.events.off('dayChange', callback);
+        }
+
+        addSeasonChangeListener(callback, options) {
+            return this.events.on('seasonChange', callback, options);
+        }
+
+        removeSeasonChangeListener(callback) {
+            this.events.off('seasonChange', callback);
+        }
+
+        addYearChangeListener(callback, options) {
+            return this.events.on('yearChange', callback, options);
+        }
+
+        removeYearChangeListener(callback) {
+            this.events.off('yearChange', callback);
+        }
+
+        addMinuteChangeListener(callback, options) {
+            return this.events.on('minuteChange', callback, options);
+        }
+
+        removeMinuteChangeListener(callback) {
+            this.events.off('minuteChange', callback);
+        }
+
+        addHourChangeListener(callback, options) {
+            return this.events.on('hourChange', callback, options);
+        }
+
+        removeHourChangeListener(callback) {
+            this.events.off('hourChange', callback);
+        }
+
+        addPeriodChangeListener(callback, options) {
+            return this.events.on('periodChange', callback, options);
+        }
+
+        removePeriodChangeListener(callback) {
+            this.events.off('periodChange', callback);
+        }
+
+        addHolidayStartListener(callback, options) {
+            return this.events.on('holidayStart', callback, options);
+        }
+
+        removeHolidayStartListener(callback) {
+            this.events.off('holidayStart', callback);
+        }
+
+        addDayEndReachedListener(callback, options) {
+            return this.events.on('dayEndReached', callback, options);
+        }
+
+        removeDayEndReachedListener(callback) {
+            this.events.off('dayEndReached', callback);
+        }
+
+        addTimeAwayListener(callback, options) {
+            return this.events.on('timeAway', callback, options);
+        }
+
+        removeTimeAwayListener(callback) {
+            this.events.off('timeAway', callback);
+        }
+
+        addSleepStartListener(callback, options) {
+            return this.events.on('sleepStart', callback, options);
+        }
+
+        removeSleepStartListener(callback) {
+            this.events.off('sleepStart', callback);
+        }
+
+        addWakeListener(callback, options) {
+            return this.events.on('wake', callback, options);
+        }
+
+        removeWakeListener(callback) {
+            this.events.off('wake', callback);
+        }
+
+        // Holiday API
+        // date may be omitted (today), total minutes, a getDateInfo() result or date parts
+        resolveDate(date) {
+            if (date === undefined || date === null) {
+                return this.getDateInfo();
+            }
+            if (typeof date === 'number') {
+                return this.getDateInfo(date);
+            }
+            if (date.dayOfYear !== undefined) {
+                return date;
+            }
+            return this.getDateInfo(this.composeTotalMinutes(date));
+        }
+
+        isHoliday(date) {
+            return this.getHolidaysOn(date).length > 0;
+        }
+
+        getHolidaysOn(date) {
+            return this.holidays.getHolidaysOn(this.resolveDate(date));
+        }
+
+        getCurrentHolidayName() {
+            return this.getHolidaysOn().map(holiday => holiday.name).join(', ');
+        }
+
+        getUpcomingHolidays(count = 5, fromTime = this.currentTime) {
+            return this.holidays.getUpcoming(count, fromTime);
+        }
+
+        registerHoliday(definition) {
+            return this.holidays.register(definition);
+        }
+
+        unregisterHoliday(name) {
+            this.holidays.unregister(name);
+        }
+
+        getCurrentMapId() {
+            return typeof $gameMap !== 'undefined' && $gameMap ? $gameMap.mapId() : 0;
+        }
+
+        // Statistics API
+        getStatistics() {
+            return this.statistics.getAll();
+        }
+
+        // gameMinutes, daysPassed, playTime, menuTime, battleTime,
+        // nightsSlept, minutesSlept, passOuts or maps
+        getStatistic(name) {
+            return this.statistics.get(name);
+        }
+
+        // One map's { mapId, gameMinutes, playTime, visits }, or all maps without an id
+        getMapStatistics(mapId) {
+            return mapId === undefined ? this.statistics.getMaps() : this.statistics.getMap(mapId);
+        }
+
+        openStatistics() {
+            SceneManager.push(Scene_TimeStatistics);
+        }
+
+        // Add menu tracking methods
+        onMenuOpen() {
+            this.menuOpenTime = Date.now();
+            this.logger.info('Menu opened', { menuOpenTime: this.menuOpenTime });
+        }
+
+        onMenuClose() {
+            if (this.menuOpenTime) {
+                const menuDuration = Date.now() - this.menuOpenTime;
+                this.totalMenuTime = (this.totalMenuTime || 0) + menuDuration;
+                this.lastUpdateTime += menuDuration; // Adjust lastUpdateTime to account for menu time
+                this.menuOpenTime = null;
+                this.logger.info('Menu closed', {
+                    menuDuration,
+                    totalMenuTime: this.totalMenuTime,
+                    adjustedLastUpdateTime: this.lastUpdateTime
+                });
+            }
+        }
+
+        isGamePaused() {
+            return this.isScenePaused(SceneManager._scene) || this.isMapActivityPaused();
+        }
+
+        // A scene pauses time if it is, or inherits from, a configured or registered scene
+        isScenePaused(scene) {
+            if (!scene) return false;
+            return this.pauseScenes.concat(Array.from(registeredPauseScenes)).some(entry => {
+                if (typeof entry === 'function') {
+                    return scene instanceof entry;
+                }
+                if (typeof window[entry] === 'function' && scene instanceof window[entry]) {
+                    return true;
+                }
+                // Scenes declared with class syntax inside another plugin are not global
+                for (let proto = Object.getPrototypeOf(scene); proto; proto = Object.getPrototypeOf(proto)) {
+                    if (proto.constructor && proto.constructor.name === entry) {
+                        return true;
+                    }
+                }
+                return false;
+            });
+        }
+
+        // Events and messages on the map can also pause time
+        isMapActivityPaused() {
+            if (!(SceneManager._scene instanceof Scene_Map)) return false;
+            return (this.pauseDuringEvents && $gameMap.isEventRunning()) ||
+                (this.pauseDuringMessages && $gameMessage.isBusy());
+        }
+
+        registerPauseScene(scene) {
+            registeredPauseScenes.add(scene);
+        }
+
+        unregisterPauseScene(scene) {
+            registeredPauseScenes.delete(scene);
+        }
+
+        // Map time rules
+        // Parsed from the current map's notetags and cached until the map changes
+        getMapRule() {
+            const mapId = typeof $gameMap !== 'undefined' && $gameMap ? $gameMap.mapId() : 0;
+            if (!this._mapRule || this._mapRule.mapId !== mapId) {
+                const meta = mapId > 0 && typeof $dataMap !== 'undefined' && $dataMap ? $dataMap.meta : null;
+                this._mapRule = this.parseMapRule(mapId, meta || {});
+            }
+            return this._mapRule;
+        }
+
+        parseMapRule(mapId, meta) {
+            const timeScale = meta.TimeScale !== undefined ? Number(meta.TimeScale) : 1;
+            return {
+                mapId,
+                timeScale: isNaN(timeScale) ? 1 : Math.max(0, timeScale),
+                noTimeFlow: !!meta.NoTimeFlow,
+                timeOnEnter: Number(meta.TimeOnEnter || 0) || 0
+            };
+        }
+
+        isTimeFrozen() {
+            const mapRule = this.getMapRule();
+            return this.isTimePaused || this.isAtTimeLimit() || mapRule.noTimeFlow || mapRule.timeScale === 0;
+        }
+
+        // reloading: the map the party is already on is set up again, e.g. after loading a save
+        onMapEnter(mapId, reloading = false) {
+            const mapRule = this.getMapRule();
+            this.logger.info('Entered map', Object.assign({ reloading }, mapRule));
+            if (reloading) return;
+
+            this.statistics.addMapVisit(mapId);
+
+            if (mapRule.timeOnEnter !== 0) {
+                this.addMinutes(mapRule.timeOnEnter);
+            }
+        }
+
+        isAtTimeLimit() {
+            if (this.endOfDayPolicy === 'continue' || this.clockMode === 'system') return false;
+            const currentHour = Math.floor((this.currentTime % (HOURS_PER_DAY * MINUTES_PER_HOUR)) / MINUTES_PER_HOUR);
+            return currentHour >= this.dayEndHour;
+        }
+
+        pauseTime() {
+            this.isTimePaused = true;
+            this.logger.info('Time paused', { 
+                currentTime: this.currentTime,
+                currentHour: Math.floor((this.currentTime % (HOURS_PER_DAY * MINUTES_PER_HOUR)) / MINUTES_PER_HOUR)
+            });
+        }
+
+        resumeTime() {
+            this.isTimePaused = false;
+            this.lastUpdateTime = Date.now(); // Don't count the paused period
+            this.logger.info('Time resumed');
+        }
+
+        // Wake at the day start hour: later tonight when sleeping after midnight, else tomorrow
+        sleepUntilNextDay(options = {}) {
+            return this.sleep(this.getMinutesUntil(this.dayStartHour), options);
+        }
+
+        // Sleep until the next time the clock reads hour:minute, later tonight when
+        // that is still ahead
+        sleepUntil(hour, minute = 0, options = {}) {
+            return this.sleep(this.getMinutesUntil(hour, minute), options);
+        }
+
+        nap(hours, options = {}) {
+            return this.sleep(Math.round(hours * MINUTES_PER_HOUR), options);
+        }
+
+        // Skip the given minutes as sleep, then rest the party unless options.rest is false.
+        // Returns false, like advanceTime, when the sleep can't start.
+        sleep(minutes, options = {}) {
+            minutes = Math.floor(minutes);
+            if (!(minutes > 0) || this.isAdvancing()) {
+                this.logger.warn('Cannot sleep now', { minutes, advancing: this.isAdvancing() });
+                return false;
+            }
+
+            // Sleep that lasts past the day start hour is a night, anything else a nap
+            const nap = minutes < this.getMinutesUntil(this.dayStartHour);
+
+            const sleepData = {
+                minutes,
+                hours: minutes / MINUTES_PER_HOUR,
+                lateHours: this.getLateSleepHours(),
+                nap
+            };
+            this.logger.info('Going to sleep', sleepData);
+            this.emitSleepStart(sleepData);
+
+            return this.advanceTime(minutes, Object.assign({}, options, {
+                onComplete: () => {
+                    this.statistics.addSleep(minutes, nap);
+
+                    const recovery = options.rest === false ? 0 : this.applyRestEffects(sleepData.hours, sleepData.lateHours);
+
+                    // Resume time
+                    this.resumeTime();
+
+                    this.logger.info('Woke up', {
+                        minutesSlept: minutes,
+                        recovery,
+                        newDay: this.currentDay,
+                        newSeason: this.currentSeason,
+                        newYear: this.currentYear
+                    });
+
+                    this.emitWake(Object.assign({}, sleepData, { recovery }));
+
+                    if (options.onComplete) {
+                        options.onComplete();
+                    }
+                }
+            }));
+        }
+
+        // Hours past the Late Sleep Hour, with the small hours counted as 24+
+        getLateSleepHours() {
+            let hour = (this.currentTime % MINUTES_PER_DAY) / MINUTES_PER_HOUR;
+            if (hour < this.dayStartHour) {
+                hour += HOURS_PER_DAY;
+            }
+            return Math.max(0, hour - this.rest.lateHour);
+        }
+
+        // Heal the party for the hours slept; returns the recovery factor used
+        applyRestEffects(hours, lateHours) {
+            const recovery = Math.max(0, 1 - lateHours * this.rest.latePenalty / 100);
+            if (typeof $gameParty === 'undefined' || !$gameParty || recovery <= 0) {
+                return recovery;
+            }
+
+            const hpRate = Math.min(1, hours * this.rest.hpPerHour / 100) * recovery;
+            const mpRate = Math.min(1, hours * this.rest.mpPerHour / 100) * recovery;
+            const removeStates = this.rest.stateHours > 0 && hours >= this.rest.stateHours;
+
+            $gameParty.members().forEach(actor => {
+                if (actor.isDead()) return;
+                if (removeStates) {
+                    actor.states().forEach(state => {
+                        if (state.id !== actor.deathStateId()) {
+                            actor.removeState(state.id);
+                        }
+                    });
+                }
+                actor.gainHp(Math.floor(actor.mhp * hpRate));
+                actor.gainMp(Math.floor(actor.mmp * mpRate));
+            });
+            return recovery;
+        }
+
+        // Time skip API
+        // Skips move forward one hour boundary at a time so every minute/hour/period,
+        // day/season/year event and schedule in between fires in chronological order.
+        // options.fade fades the screen out before and back in after the skip,
+        // options.onComplete runs once the skip has been applied.
+        advanceTime(minutes, options = {}) {
+            minutes = Math.floor(minutes);
+            if (!(minutes > 0) || this.isAdvancing()) {
+                if (this.isAdvancing()) {
+                    this.logger.warn('Time skip already in progress', { minutes });
+                }
+                return false;
+            }
+
+            const targetTime = this.currentTime + minutes;
+            if (options.fade && typeof $gameScreen !== 'undefined' && $gameScreen) {
+                this._advance = {
+                    targetTime,
+                    onComplete: options.onComplete,
+                    phase: 'fadeOut',
+                    wait: this.transitionFadeDuration
+                };
+                $gameScreen.startFadeOut(this.transitionFadeDuration);
+            } else {
+                this.performAdvance(targetTime);
+                if (options.onComplete) {
+                    options.onComplete();
+                }
+            }
+            return true;
+        }
+
+        // Minutes until the clock next reads hour:minute: later today if that is
+        // still ahead, otherwise tomorrow
+        getMinutesUntil(hour, minute = 0) {
+            const currentDayMinutes = this.currentTime % MINUTES_PER_DAY;
+            let minutes = hour * MINUTES_PER_HOUR + minute - currentDayMinutes;
+            if (minutes <= 0) {
+                minutes += MINUTES_PER_DAY;
+            }
+            return minutes;
+        }
+
+        // Advance to the next time the clock reads hour:minute
+        advanceTo(hour, minute = 0, options = {}) {
+            return this.advanceTime(this.getMinutesUntil(hour, minute), options);
+        }
+
+        advanceDays(days, options = {}) {
+            return this.advanceTime(days * MINUTES_PER_DAY, options);
+        }
+
+        isAdvancing() {
+            return !!this._advance;
+        }
+
+        // Move straight to a time far ahead, e.g. after time away. Unlike a time skip
+        // only the arrival day and hour are entered, and each schedule that came due
+        // fires once however many of its occurrences were passed.
+        jumpTime(minutes) {
+            this._jumping = true;
+            try {
+                this.setTotalMinutes(this.currentTime + minutes);
+            } finally {
+                this._jumping = false;
+            }
+        }
+
+        performAdvance(targetTime) {
+            const startTime = this.currentTime;
+
+            // Only the final time decides whether the day has ended
+            // and an error during the replay must not leave it switched off
+            this._suppressDayEnd = true;
+            try {
+                while (this.currentTime < targetTime) {
+                    const previousTime = this.currentTime;
+                    const nextHour = (Math.floor(previousTime / MINUTES_PER_HOUR) + 1) * MINUTES_PER_HOUR;
+                    this.currentTime = Math.min(targetTime, nextHour);
+                    this.applyTimeChange(previousTime);
+                }
+            } finally {
+                this._suppressDayEnd = false;
+            }
+
+            this.lastUpdateTime = Date.now();
+            this.accumulatedMinutes = 0;
+            this.resyncSystemClock();
+            this.checkDayEnd();
+
+            this.logger.info('Time advanced', {
+                startTime,
+                currentTime: this.currentTime,
+                minutesAdvanced: this.currentTime - startTime,
+                currentDay: this.currentDay,
+                currentSeason: this.currentSeason,
+                currentYear: this.currentYear
+            });
+
+            this.emitTimeUpdate();
+        }
+
+        // After a manual change the system clock keeps pace from the new time
+        resyncSystemClock() {
+            if (this.clockMode === 'system') {
+                this.systemClockOffset = this.currentTime - this.getWallClockMinutes();
+            }
+        }
+
+        // Drive faded time skips: fade out, skip, fade in
+        updateAdvance() {
+            if (!this._advance) return;
+            if (this._advance.wait > 0) {
+                this._advance.wait--;
+                return;
+            }
+
+            if (this._advance.phase === 'fadeOut') {
+                this.performAdvance(this._advance.targetTime);
+                if (this._advance.onComplete) {
+                    this._advance.onComplete();
+                }
+                $gameScreen.startFadeIn(this.transitionFadeDuration);
+                this._advance.phase = 'fadeIn';
+                this._advance.wait = this.transitionFadeDuration;
+            } else {
+                this._advance = null;
+            }
+        }
+
+        // Time manipulation API
+        // All changes go through setTotalMinutes so day/season/year events fire
+        setTotalMinutes(totalMinutes) {
+            const previousTime = this.currentTime;
+            this.currentTime = Math.max(0, Math.floor(totalMinutes));
+            this.lastUpdateTime = Date.now();
+            this.accumulatedMinutes = 0;
+            this.resyncSystemClock();
+
+            this.applyTimeChange(previousTime);
+
+            this.logger.info('Time set', {
+                previousTime,
+                currentTime: this.currentTime,
+                currentDay: this.currentDay,
+                currentSeason: this.currentSeason,
+                currentYear: this.currentYear
+            });
+
+            this.emitTimeUpdate();
+        }
+
+        // Convert calendar parts back to total minutes. Missing parts default to now.
+        // day is the day of the month when a month is given, the day of the season
+        // when only a season is given, and the day of the current month otherwise.
+        composeTotalMinutes(parts) {
+            const now = this.getDateInfo();
+            const calendar = this.calendar;
+            const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+            const pick = (key) => parts[key] !== undefined ? Number(parts[key]) : now[key];
+
+            let dayOfYear;
+            if (parts.month !== undefined) {
+                const month = calendar.months[clamp(pick('month') - 1, 0, calendar.months.length - 1)];
+                dayOfYear = month.startDay + clamp(pick('day') - 1, 0, month.days - 1);
+            } else if (parts.season !== undefined) {
+                const season = calendar.seasons[clamp(pick('season'), 0, calendar.seasons.length - 1)];
+                const dayOfSeason = parts.day !== undefined ? Number(parts.day) : now.dayOfSeason;
+                dayOfYear = season.startDay + clamp(dayOfSeason - 1, 0, season.length - 1);
+            } else {
+                const month = calendar.months[now.month - 1];
+                dayOfYear = month.startDay + clamp(pick('day') - 1, 0, month.days - 1);
+            }
+
+            const calendarDay = (pick('year') - this.startingYear) * calendar.daysPerYear + dayOfYear;
+            const dayIndex = Math.max(0, calendarDay - this.calendarOffset);
+
+            return dayIndex * MINUTES_PER_DAY + pick('hour') * MINUTES_PER_HOUR + pick('minute');
+        }
+
+        setDateParts(parts) {
+            this.setTotalMinutes(this.composeTotalMinutes(parts));
+        }
+
+        setTime(hour, minute = 0) {
+            this.setDateParts({
+                hour: Math.min(Math.max(hour, 0), HOURS_PER_DAY - 1),
+                minute: Math.min(Math.max(minute, 0), MINUTES_PER_HOUR - 1)
+            });
+        }
+
+        setDay(day) {
+            this.setDateParts({ day });
+        }
+
+        setMonth(month) {
+            this.setDateParts({ month });
+        }
+
+        setSeason(season) {
+            if (typeof season === 'string') {
+                season = this.calendar.seasons.findIndex(entry => entry.name.toLowerCase() === season.toLowerCase());
+                if (season < 0) {
+                    this.logger.warn('Unknown season name', { season });
+                    return;
+                }
+            }
+            this.setDateParts({ season });
+        }
+
+        setYear(year) {
+            this.setDateParts({ year });
+        }
+
+        // Returns false when the minutes could not be added during a faded time skip
+        addMinutes(minutes) {
+            if (minutes > 0) {
+                return this.advanceTime(minutes);
+            }
+            if (this.isAdvancing()) {
+                this.logger.warn('Time skip in progress, minutes not added', { minutes });
+                return false;
+            }
+            this.setTotalMinutes(this.currentTime + minutes);
+            return true;
+        }
+
+        addHours(hours) {
+            return this.addMinutes(hours * MINUTES_PER_HOUR);
+        }
+
+        addDays(days) {
+            return this.addMinutes(days * MINUTES_PER_DAY);
+        }
+
+        setTimeScale(realMinutesPerGameDay) {
+            if (!(realMinutesPerGameDay > 0)) {
+                this.logger.warn('Invalid time scale', { realMinutesPerGameDay });
+                return;
+            }
+            this.customRealMinutesPerGameDay = realMinutesPerGameDay;
+            this.updateTimeMultiplier();
+            this.logger.info('Time scale changed', {
+                realMinutesPerGameDay,
+                timeMultiplier: this.timeMultiplier
             });
         }
 
-        initializeEvents() {
-            this.onTimeUpdate = new Set();
-            this.onDayChange = new Set();
-            this.onSeasonChange = new Set();
-            this.onYearChange = new Set();
+        // Scheduling API
+        // Schedules are persisted, so callbacks are referenced by handler name.
+        // Plain function callbacks also work but are lost when a save is loaded.
+        registerScheduleHandler(name, callback) {
+            scheduleHandlers.set(name, callback);
         }
 
-        update() {
-            // Log update start
-            this.logger.debug('Time System Update', {
-                currentTime: this.currentTime,
-                lastUpdateTime: this.lastUpdateTime
-            });
+        schedule(options) {
+            const repeat = (options.repeat || 'none').toLowerCase();
+            if (repeat !== 'none' && !this.getRepeatInterval(repeat)) {
+                this.logger.warn('Unknown schedule repeat type', { repeat });
+                return null;
+            }
 
-            // Update time
-            this.updateTime();
+            const id = options.id || this.generateScheduleId();
+            this.cancelSchedule(id);
 
-            // Log update end
-            this.logger.debug('Time System Update Complete', {
-                newTime: this.currentTime,
-                newLastUpdateTime: this.lastUpdateTime
-            });
+            const anchorTime = this.getScheduleAnchor(options, repeat);
+            const schedule = {
+                id,
+                repeat,
+                anchorTime,
+                nextTime: null,
+                commonEventId: Number(options.commonEventId || 0),
+                handler: typeof options.callback === 'string' ? options.callback : null
+            };
+            schedule.nextTime = this.getNextOccurrence(schedule, this.currentTime + 1);
+
+            if (schedule.nextTime === null) {
+                this.logger.warn('Schedule is in the past and will never fire', { id, anchorTime });
+                return null;
+            }
+
+            if (typeof options.callback === 'function') {
+                this.scheduleCallbacks.set(id, options.callback);
+            }
+
+            this.schedules.push(schedule);
+            this.logger.info('Schedule added', schedule);
+            return id;
         }
 
-        updateTime() {
-            const now = Date.now();
-            const realTimeDiff = now - this.lastUpdateTime;
-            
-            // Only update if we have waited at least 1 second since last update
-            // and we're not in a menu or battle
-            // and we're not at the time limit
-            // and time isn't paused
-            if (realTimeDiff >= 1000 && !this.isGamePaused() && !this.isAtTimeLimit() && !this.isTimePaused) {
-                // Calculate game minutes based on real time difference using timeMultiplier
-                const newMinutes = (realTimeDiff / 1000) * this.timeMultiplier;
-                this.accumulatedMinutes += newMinutes;
-                
-                this.logger.info('Time Update Start', {
-                    realTimeDiff,
-                    newMinutes,
-                    accumulatedMinutes: this.accumulatedMinutes,
-                    currentTime: this.currentTime,
-                    timeMultiplier: this.timeMultiplier,
-                    lastUpdateTime: this.lastUpdateTime,
-                    now: now,
-                    isPaused: this.isGamePaused(),
-                    calculation: {
-                        realSeconds: realTimeDiff / 1000,
-                        multiplier: this.timeMultiplier,
-                        calculatedMinutes: newMinutes,
-                        accumulatedMinutes: this.accumulatedMinutes
-                    }
-                });
+        // Generated ids skip ids a caller already chose, e.g. 'schedule_3'
+        generateScheduleId() {
+            let id;
+            do {
+                id = `schedule_${this.nextScheduleId++}`;
+            } while (this.getSchedule(id));
+            return id;
+        }
 
-                // Only update actual game time if we have at least 1 full minute
-                if (this.accumulatedMinutes >= 1) {
-                    const gameMinutes = Math.floor(this.accumulatedMinutes);
-                    this.accumulatedMinutes -= gameMinutes; // Keep the remainder
-                    
-                    if (gameMinutes > 0) {
-                        this.currentTime += gameMinutes;
-                        this.lastUpdateTime = now;
-                        
-                        // Update actual game time values
-                        const totalMinutes = this.currentTime;
-                        const minutesPerDay = HOURS_PER_DAY * MINUTES_PER_HOUR;
-                        const minutesPerSeason = this.seasonLength * minutesPerDay;
-                        const minutesPerYear = 4 * minutesPerSeason; // 4 seasons per year
-
-                        // Calculate current day (1-based)
-                        this.currentDay = Math.floor(totalMinutes / minutesPerDay) + 1;
-                        
-                        // Calculate current season (0-3)
-                        this.currentSeason = Math.floor((totalMinutes % minutesPerYear) / minutesPerSeason);
-                        
-                        // Calculate current year (1-based)
-                        this.currentYear = Math.floor(totalMinutes / minutesPerYear) + this.startingYear;
-                        
-                        // Emit day/season/year change events only when actual values change
-                        if (this.currentDay !== this._lastDay) {
-                            this.handleDayChange();
-                            this._lastDay = this.currentDay;
-                        }
-                        
-                        this.logger.info('Time Updated', {
-                            newCurrentTime: this.currentTime,
-                            newLastUpdateTime: this.lastUpdateTime,
-                            currentDay: this.currentDay,
-                            currentSeason: this.currentSeason,
-                            currentYear: this.currentYear,
-                            minutesPerDay,
-                            minutesPerSeason,
-                            minutesPerYear,
-                            totalMinutes,
-                            timeMultiplier: this.timeMultiplier,
-                            accumulatedMinutes: this.accumulatedMinutes
-                        });
-                    }
-                }
+        cancelSchedule(id) {
+            const index = this.schedules.findIndex(schedule => schedule.id === id);
+            if (index >= 0) {
+                this.schedules.splice(index, 1);
+                this.scheduleCallbacks.delete(id);
+                this.logger.info('Schedule cancelled', { id });
+                return true;
             }
+            return false;
+        }
 
-            // Always emit visual update with current accumulated time
-            const visualTime = this.currentTime + this.accumulatedMinutes;
-            const totalMinutes = visualTime;
-            const minutesPerDay = HOURS_PER_DAY * MINUTES_PER_HOUR;
-            const minutesPerSeason = this.seasonLength * minutesPerDay;
-            const minutesPerYear = 4 * minutesPerSeason; // 4 seasons per year
+        getSchedule(id) {
+            return this.schedules.find(schedule => schedule.id === id) || null;
+        }
 
-            // Calculate current day (1-based)
-            const visualDay = Math.floor(totalMinutes / minutesPerDay) + 1;
-            
-            // Calculate current season (0-3)
-            const visualSeason = Math.floor((totalMinutes % minutesPerYear) / minutesPerSeason);
-            
-            // Calculate current year (1-based)
-            const visualYear = Math.floor(totalMinutes / minutesPerYear) + this.startingYear;
+        getSchedules() {
+            return this.schedules.slice();
+        }
 
-            // Emit time update event with visual time
-            this.emitTimeUpdate({
-                time: visualTime,
-                day: visualDay,
-                season: visualSeason,
-                year: visualYear,
-                hour: Math.floor((visualTime % (HOURS_PER_DAY * MINUTES_PER_HOUR)) / MINUTES_PER_HOUR),
-                minute: Math.floor(visualTime % MINUTES_PER_HOUR)
-            });
+        getRepeatInterval(repeat) {
+            switch (repeat) {
+                case 'daily':
+                    return MINUTES_PER_DAY;
+                case 'weekly':
+                    return this.calendar.weekdays.length * MINUTES_PER_DAY;
+                case 'seasonal':
+                    // Seasons can differ in length, see getNextSeasonalOccurrence
+                    return this.calendar.daysPerYear * MINUTES_PER_DAY / this.calendar.seasons.length;
+                case 'yearly':
+                    return this.calendar.daysPerYear * MINUTES_PER_DAY;
+                default:
+                    return 0;
+            }
         }
 
-        handleDayChange() {
-            // Check for season change
-            const oldSeason = this.currentSeason;
-            this.currentSeason = Math.floor((this.currentDay - 1) / this.seasonLength) % SEASONS_PER_YEAR;
-            
-            if (this.currentSeason !== oldSeason) {
-                this.handleSeasonChange();
+        // First occurrence of a schedule. Unspecified date parts default to today,
+        // weekly schedules may give a weekday (0-based) instead of a date.
+        getScheduleAnchor(options, repeat) {
+            const parts = {
+                hour: Number(options.hour || 0),
+                minute: Number(options.minute || 0)
+            };
+            if (options.day !== undefined) parts.day = Number(options.day);
+            if (options.month !== undefined) parts.month = Number(options.month);
+            if (options.season !== undefined) parts.season = Number(options.season);
+            if (options.year !== undefined) parts.year = Number(options.year);
+
+            let anchorTime = this.composeTotalMinutes(parts);
+
+            if (repeat === 'weekly' && options.weekday !== undefined) {
+                const daysPerWeek = this.calendar.weekdays.length;
+                const offset = (Number(options.weekday) - this.getDateInfo().weekday + daysPerWeek) % daysPerWeek;
+                anchorTime += offset * MINUTES_PER_DAY;
             }
 
-            // Check for year change
-            const oldYear = this.currentYear;
-            this.currentYear = Math.floor((this.currentDay - 1) / (this.seasonLength * SEASONS_PER_YEAR)) + this.startingYear;
-            
-            if (this.currentYear !== oldYear) {
-                this.handleYearChange();
+            // A one-shot time of day without a date means the next time the clock reads it
+            const hasDate = options.day !== undefined || options.month !== undefined ||
+                options.season !== undefined || options.year !== undefined;
+            if (repeat === 'none' && !hasDate && anchorTime <= this.currentTime) {
+                anchorTime += MINUTES_PER_DAY;
             }
 
-            // Emit day change event
-            this.emitDayChange();
+            return anchorTime;
         }
 
-        handleSeasonChange() {
-            this.emitSeasonChange();
+        // Earliest occurrence at or after fromTime, or null if there is none
+        getNextOccurrence(schedule, fromTime) {
+            const interval = this.getRepeatInterval(schedule.repeat);
+            if (!interval) {
+                return schedule.anchorTime >= fromTime ? schedule.anchorTime : null;
+            }
+            if (schedule.anchorTime >= fromTime) {
+                return schedule.anchorTime;
+            }
+            if (schedule.repeat === 'seasonal') {
+                return this.getNextSeasonalOccurrence(schedule, fromTime);
+            }
+            const periods = Math.ceil((fromTime - schedule.anchorTime) / interval);
+            return schedule.anchorTime + periods * interval;
         }
 
-        handleYearChange() {
-            this.emitYearChange();
+        // Same day of season and time of day as the anchor, clamped to shorter seasons
+        getNextSeasonalOccurrence(schedule, fromTime) {
+            const seasonCount = this.calendar.seasons.length;
+            const anchor = this.getDateInfo(schedule.anchorTime);
+            const from = this.getDateInfo(fromTime);
+            const fromIndex = (from.year - this.startingYear) * seasonCount + from.season;
+
+            for (let index = fromIndex - 1; ; index++) {
+                const time = this.composeTotalMinutes({
+                    year: Math.floor(index / seasonCount) + this.startingYear,
+                    season: index % seasonCount,
+                    day: anchor.dayOfSeason,
+                    hour: anchor.hour,
+                    minute: anchor.minute
+                });
+                if (time >= fromTime) {
+                    return time;
+                }
+            }
         }
 
-        emitTimeUpdate(timeData) {
-            // If no timeData provided, use current game time
-            if (!timeData) {
-                timeData = {
-                    time: this.currentTime,
-                    day: this.currentDay,
-                    season: this.currentSeason,
-                    year: this.currentYear,
-                    hour: Math.floor((this.currentTime % (HOURS_PER_DAY * MINUTES_PER_HOUR)) / MINUTES_PER_HOUR),
-                    minute: this.currentTime % MINUTES_PER_HOUR
-                };
+        // Fire every schedule occurrence and timer due up to currentTime in chronological order
+        processTriggers() {
+            let schedule = this.getNextDueSchedule();
+            let timer = this.getNextDueTimer();
+            while (schedule || timer) {
+                if (timer && (!schedule || timer.endTime < schedule.nextTime)) {
+                    this.expireTimer(timer);
+                } else {
+                    this.processSchedule(schedule);
+                }
+                schedule = this.getNextDueSchedule();
+                timer = this.getNextDueTimer();
             }
-            
-            this.onTimeUpdate.forEach(callback => callback(timeData));
         }
 
-        emitDayChange() {
-            this.onDayChange.forEach(callback => callback({
-                day: this.currentDay,
-                season: this.currentSeason,
-                year: this.currentYear
-            }));
+        processSchedule(schedule) {
+            const occurrenceTime = schedule.nextTime;
+            // A jump fires the schedule once and moves it past the arrival time
+            const fromTime = this._jumping ? this.currentTime + 1 : occurrenceTime + 1;
+            schedule.nextTime = this.getNextOccurrence(schedule, fromTime);
+            if (schedule.nextTime === null) {
+                this.schedules.splice(this.schedules.indexOf(schedule), 1);
+            }
+            this.fireSchedule(schedule, occurrenceTime);
         }
 
-        emitSeasonChange() {
-            this.onSeasonChange.forEach(callback => callback({
-                season: this.currentSeason,
-                year: this.currentYear
-            }));
+        getNextDueSchedule() {
+            let next = null;
+            this.schedules.forEach(schedule => {
+                if (schedule.nextTime !== null && schedule.nextTime <= this.currentTime &&
+                    (!next || schedule.nextTime < next.nextTime)) {
+                    next = schedule;
+                }
+            });
+            return next;
         }
 
-        emitYearChange() {
-            this.onYearChange.forEach(callback => callback({
-                year: this.currentYear
-            }));
+        // After time moves backwards, recurring schedules point at their next occurrence again
+        rewindSchedules() {
+            this.schedules.forEach(schedule => {
+                schedule.nextTime = this.getNextOccurrence(schedule, this.currentTime + 1);
+            });
         }
 
-        saveData() {
-            if (window.$gameHDB && window.$gameHDB.save) {
-                const timeData = {
-                    currentTime: this.currentTime,
-                    currentDay: this.currentDay,
-                    currentSeason: this.currentSeason,
-                    currentYear: this.currentYear,
-                    lastUpdateTime: this.lastUpdateTime,
-                    totalMenuTime: this.totalMenuTime || 0,
-                    menuOpenTime: this.menuOpenTime
-                };
-                window.$gameHDB.save.setPluginData('timeSystem', timeData);
-                this.logger.info('Saved time data', timeData);
+        fireSchedule(schedule, occurrenceTime) {
+            this.logger.info('Schedule fired', {
+                id: schedule.id,
+                occurrenceTime,
+                currentTime: this.currentTime
+            });
+
+            if (schedule.commonEventId > 0) {
+                this.pendingCommonEvents.push(schedule.commonEventId);
             }
-        }
 
-        loadData() {
-            if (window.$gameHDB && window.$gameHDB.save) {
-                const savedData = window.$gameHDB.save.getPluginData('timeSystem');
-                if (savedData) {
-                    Object.assign(this, savedData);
-                    this.logger.info('Loaded time data', savedData);
+            const callback = this.scheduleCallbacks.get(schedule.id) ||
+                (schedule.handler && scheduleHandlers.get(schedule.handler));
+            if (callback) {
+                try {
+                    callback({ id: schedule.id, time: occurrenceTime, repeat: schedule.repeat });
+                } catch (error) {
+                    this.logger.error('Schedule callback failed', { id: schedule.id, error: error.message });
                 }
+            } else if (schedule.handler) {
+                this.logger.warn('No handler registered for schedule', { id: schedule.id, handler: schedule.handler });
             }
-        }
 
-        // Public API methods
-        getCurrentTime() {
-            // Ensure we have valid data
-            if (!this.currentTime) {
-                this.currentTime = 0;
-                this.currentDay = 1;
-                this.currentSeason = this.startingSeason;
-                this.currentYear = this.startingYear;
-                this.lastUpdateTime = Date.now();
-                this.totalMenuTime = 0;
-                this.menuOpenTime = null;
+            if (schedule.nextTime === null) {
+                this.scheduleCallbacks.delete(schedule.id);
             }
+        }
 
-            // Calculate hours and minutes from total minutes
-            const totalMinutes = this.currentTime;
-            const minutesPerDay = HOURS_PER_DAY * MINUTES_PER_HOUR;
-            const currentDayMinutes = totalMinutes % minutesPerDay;
-            
-            const hour = Math.floor(currentDayMinutes / MINUTES_PER_HOUR);
-            const minute = currentDayMinutes % MINUTES_PER_HOUR;
+        // Timer API
+        // Timers count down game minutes and expire once, even when a time skip
+        // jumps past them. Like schedules they call a named handler or function
+        // and/or reserve a common event, and can mirror their remaining minutes
+        // into a variable.
+        createTimer(options) {
+            const duration = Number(options.minutes || 0) +
+                Number(options.hours || 0) * MINUTES_PER_HOUR +
+                Number(options.days || 0) * MINUTES_PER_DAY;
+            if (duration <= 0) {
+                this.logger.warn('Timer needs a positive duration', options);
+                return null;
+            }
 
-            this.logger.debug('Time Calculation', {
-                totalMinutes,
-                minutesPerDay,
-                currentDayMinutes,
-                hour,
-                minute
-            });
+            const id = options.id || this.generateTimerId();
+            this.cancelTimer(id);
 
-            return {
-                year: this.currentYear,
-                month: (this.currentSeason * 3) + 1, // Convert season to month (1-12)
-                day: this.currentDay,
-                hour: hour,
-                minute: minute,
-                season: this.currentSeason,
-                seasonName: SEASONS[this.currentSeason]
+            const timer = {
+                id,
+                startTime: this.currentTime,
+                endTime: this.currentTime + duration,
+                commonEventId: Number(options.commonEventId || 0),
+                variableId: Number(options.variableId || 0),
+                handler: typeof options.callback === 'string' ? options.callback : null
             };
-        }
 
-        addTimeUpdateListener(callback) {
-            this.onTimeUpdate.add(callback);
+            if (typeof options.callback === 'function') {
+                this.timerCallbacks.set(id, options.callback);
+            }
+
+            this.timers.push(timer);
+            this.syncGameBindings();
+            this.logger.info('Timer started', timer);
+            return id;
         }
 
-        addDayChangeListener(callback) {
-            this.onDayChange.add(callback);
+        // Generated ids skip ids a caller already chose, e.g. 'timer_2'
+        generateTimerId() {
+            let id;
+            do {
+                id = `timer_${this.nextTimerId++}`;
+            } while (this.getTimer(id));
+            return id;
         }
 
-        addSeasonChangeListener(callback) {
-            this.onSeasonChange.add(callback);
+        cancelTimer(id) {
+            const index = this.timers.findIndex(timer => timer.id === id);
+            if (index >= 0) {
+                this.timers.splice(index, 1);
+                this.timerCallbacks.delete(id);
+                this.logger.info('Timer cancelled', { id });
+                return true;
+            }
+            return false;
         }
 
-        addYearChangeListener(callback) {
-            this.onYearChange.add(callback);
+        getTimer(id) {
+            return this.timers.find(timer => timer.id === id) || null;
         }
 
-        // Add menu tracking methods
-        onMenuOpen() {
-            this.menuOpenTime = Date.now();
-            this.logger.info('Menu opened', { menuOpenTime: this.menuOpenTime });
+        getTimers() {
+            return this.timers.slice();
         }
 
-        onMenuClose() {
-            if (this.menuOpenTime) {
-                const menuDuration = Date.now() - this.menuOpenTime;
-                this.totalMenuTime = (this.totalMenuTime || 0) + menuDuration;
-                this.lastUpdateTime += menuDuration; // Adjust lastUpdateTime to account for menu time
-                this.menuOpenTime = null;
-                this.logger.info('Menu closed', {
-                    menuDuration,
-                    totalMenuTime: this.totalMenuTime,
-                    adjustedLastUpdateTime: this.lastUpdateTime
-                });
-            }
+        hasTimer(id) {
+            return !!this.getTimer(id);
         }
 
-        isGamePaused() {
-            return SceneManager._scene instanceof Scene_Menu ||
-                   SceneManager._scene instanceof Scene_Item ||
-                   SceneManager._scene instanceof Scene_Skill ||
-                   SceneManager._scene instanceof Scene_Equip ||
-                   SceneManager._scene instanceof Scene_Status ||
-                   SceneManager._scene instanceof Scene_File ||
-                   SceneManager._scene instanceof Scene_Options ||
-                   SceneManager._scene instanceof Scene_Gameover ||
-                   SceneManager._scene instanceof Scene_Title ||
-                   SceneManager._scene instanceof Scene_Battle;
+        // Game minutes left on a timer, 0 if it does not exist (or has expired)
+        getTimerRemaining(id) {
+            const timer = this.getTimer(id);
+            return timer ? Math.max(0, timer.endTime - this.currentTime) : 0;
         }
 
-        isAtTimeLimit() {
-            const currentHour = Math.floor((this.currentTime % (HOURS_PER_DAY * MINUTES_PER_HOUR)) / MINUTES_PER_HOUR);
-            return currentHour >= this.dayEndHour;
+        getNextDueTimer() {
+            let next = null;
+            this.timers.forEach(timer => {
+                if (timer.endTime <= this.currentTime && (!next || timer.endTime < next.endTime)) {
+                    next = timer;
+                }
+            });
+            return next;
         }
 
-        pauseTime() {
-            this.isTimePaused = true;
-            this.logger.info('Time paused', { 
-                currentTime: this.currentTime,
-                currentHour: Math.floor((this.currentTime % (HOURS_PER_DAY * MINUTES_PER_HOUR)) / MINUTES_PER_HOUR)
+        expireTimer(timer) {
+            this.timers.splice(this.timers.indexOf(timer), 1);
+            this.logger.info('Timer expired', {
+                id: timer.id,
+                endTime: timer.endTime,
+                currentTime: this.currentTime
             });
+
+            if (timer.variableId > 0 && typeof $gameVariables !== 'undefined' && $gameVariables) {
+                $gameVariables.setValue(timer.variableId, 0);
+            }
+            if (timer.commonEventId > 0) {
+                this.pendingCommonEvents.push(timer.commonEventId);
+            }
+
+            const callback = this.timerCallbacks.get(timer.id) ||
+                (timer.handler && scheduleHandlers.get(timer.handler));
+            this.timerCallbacks.delete(timer.id);
+            if (callback) {
+                try {
+                    callback({ id: timer.id, time: timer.endTime, startTime: timer.startTime });
+                } catch (error) {
+                    this.logger.error('Timer callback failed', { id: timer.id, error: error.message });
+                }
+            } else if (timer.handler) {
+                this.logger.warn('No handler registered for timer', { id: timer.id, handler: timer.handler });
+            }
         }
 
-        resumeTime() {
-            this.isTimePaused = false;
-            this.logger.info('Time resumed');
+        // Reserve queued common events one at a time so none are overwritten
+        flushCommonEvents() {
+            if (typeof $gameTemp === 'undefined' || !$gameTemp) return;
+            if (this.pendingCommonEvents.length > 0 && !$gameTemp.isCommonEventReserved()) {
+                $gameTemp.reserveCommonEvent(this.pendingCommonEvents.shift());
+            }
         }
+    }
 
-        sleepUntilNextDay() {
-            // Calculate current hour and minutes into the day
-            const minutesPerDay = HOURS_PER_DAY * MINUTES_PER_HOUR;
-            const currentDayMinutes = this.currentTime % minutesPerDay;
-            const currentHour = Math.floor(currentDayMinutes / MINUTES_PER_HOUR);
+    // Statistics Window Class
+    class Window_TimeStatistics extends Window_Base {
+        constructor(x, y, width, height) {
+            super(x, y, width, height);
+            this.refresh();
+        }
 
-            // Calculate minutes until next day at start hour
-            const minutesToNextDay = (minutesPerDay - currentDayMinutes) + (this.dayStartHour * MINUTES_PER_HOUR);
+        refresh() {
+            this.contents.clear();
+            if (!$gameHDB || !$gameHDB.time) return;
 
-            // Advance time
-            this.currentTime += minutesToNextDay;
-            this.lastUpdateTime = Date.now();
-            this.accumulatedMinutes = 0;
+            const stats = $gameHDB.time.getStatistics();
+            const rows = [
+                ['Play Time', this.formatRealTime(stats.playTime)],
+                ['Time in Menus', this.formatRealTime(stats.menuTime)],
+                ['Time in Battle', this.formatRealTime(stats.battleTime)],
+                ['Game Time Passed', this.formatGameTime(stats.gameMinutes)],
+                ['Days Passed', stats.daysPassed],
+                ['Nights Slept', stats.nightsSlept],
+                ['Hours Slept', Math.floor(stats.minutesSlept / MINUTES_PER_HOUR)],
+                ['Times Passed Out', stats.passOuts]
+            ];
 
-            // Update day/season/year
-            const totalMinutes = this.currentTime;
-            this.currentDay = Math.floor(totalMinutes / minutesPerDay) + 1;
-            this.currentSeason = Math.floor((totalMinutes % (minutesPerDay * this.seasonLength * 4)) / (minutesPerDay * this.seasonLength));
-            this.currentYear = Math.floor(totalMinutes / (minutesPerDay * this.seasonLength * 4)) + this.startingYear;
+            let y = 0;
+            rows.forEach(row => {
+                this.drawRow(row[0], row[1], y);
+                y += this.lineHeight();
+            });
 
-            // Resume time
-            this.resumeTime();
+            y += this.lineHeight() / 2;
+            this.changeTextColor(this.systemColor());
+            this.drawText('Most Played Maps', 0, y, this.contentsWidth());
+            y += this.lineHeight();
 
-            this.logger.info('Slept until next day', {
-                minutesAdvanced: minutesToNextDay,
-                newDay: this.currentDay,
-                newHour: this.dayStartHour,
-                newSeason: this.currentSeason,
-                newYear: this.currentYear
+            $gameHDB.time.getMapStatistics().slice(0, 5).forEach(map => {
+                this.drawRow(this.getMapName(map.mapId), this.formatRealTime(map.playTime), y);
+                y += this.lineHeight();
             });
+        }
 
-            // Emit events
-            this.handleDayChange();
-            this.emitTimeUpdate();
+        drawRow(label, value, y) {
+            const width = this.contentsWidth();
+            this.changeTextColor(this.systemColor());
+            this.drawText(label, 0, y, width / 2);
+            this.resetTextColor();
+            this.drawText(value, width / 2, y, width / 2, 'right');
+        }
+
+        getMapName(mapId) {
+            const info = typeof $dataMapInfos !== 'undefined' && $dataMapInfos ? $dataMapInfos[mapId] : null;
+            return info ? info.name : `Map ${mapId}`;
+        }
+
+        // Milliseconds as h:mm:ss
+        formatRealTime(ms) {
+            const totalSeconds = Math.floor(ms / 1000);
+            const hours = Math.floor(totalSeconds / 3600);
+            const minutes = Math.floor(totalSeconds / 60) % 60;
+            const seconds = totalSeconds % 60;
+            return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+        }
+
+        // Game minutes as days, hours and minutes
+        formatGameTime(totalMinutes) {
+            const days = Math.floor(totalMinutes / MINUTES_PER_DAY);
+            const hours = Math.floor(totalMinutes / MINUTES_PER_HOUR) % HOURS_PER_DAY;
+            const minutes = totalMinutes % MINUTES_PER_HOUR;
+            return `${days}d ${hours}h ${minutes}m`;
+        }
+    }
+
+    // Statistics Scene Class
+    class Scene_TimeStatistics extends Scene_MenuBase {
+        create() {
+            super.create();
+            this._statisticsWindow = new Window_TimeStatistics(0, 0, Graphics.boxWidth, Graphics.boxHeight);
+            this.addWindow(this._statisticsWindow);
+        }
+
+        update() {
+            super.update();
+            if (Input.isTriggered('cancel') || Input.isTriggered('ok') || TouchInput.isCancelled()) {
+                SoundManager.playCancel();
+                this.popScene();
+            }
         }
     }
 
+    // Time does not pass while the statistics are shown
+    registeredPauseScenes.add(Scene_TimeStatistics);
+
+    window.Window_TimeStatistics = Window_TimeStatistics;
+    window.Scene_TimeStatistics = Scene_TimeStatistics;
+
     // Create global instance
     if (typeof $gameHDB === 'undefined') {
         $gameHDB = {};
@@ -610,15 +3045,36 @@
         }
     };
 
+    // Map entered while there was no time system yet
+    let pendingMapEnter = null;
+
     // Ensure time system is initialized before display window
     const _Scene_Map_createDisplayObjects = Scene_Map.prototype.createDisplayObjects;
     Scene_Map.prototype.createDisplayObjects = function() {
         if ($gameHDB && !$gameHDB.time) {
             $gameHDB.time = new TimeSystem();
+            // The first map of a new game was set up before the time system existed
+            if (pendingMapEnter !== null && pendingMapEnter === $gameMap.mapId()) {
+                $gameHDB.time.onMapEnter(pendingMapEnter);
+            }
         }
+        pendingMapEnter = null;
         _Scene_Map_createDisplayObjects.call(this);
     };
 
+    // Apply map time rules on transfer
+    const _Game_Map_setup = Game_Map.prototype.setup;
+    Game_Map.prototype.setup = function(mapId) {
+        // A save loaded after the map data changed sets the same map up again
+        const reloading = !!$gamePlayer && $gamePlayer._needsMapReload && this._mapId === mapId;
+        _Game_Map_setup.call(this, mapId);
+        if ($gameHDB && $gameHDB.time) {
+            $gameHDB.time.onMapEnter(mapId, reloading);
+        } else if (!reloading) {
+            pendingMapEnter = mapId;
+        }
+    };
+
     // Add save/load hooks to DataManager
     const _DataManager_makeSaveContents = DataManager.makeSaveContents;
     DataManager.makeSaveContents = function() {
@@ -637,37 +3093,132 @@
         }
     };
 
-    // Add menu hooks
-    const _Scene_Menu_create = Scene_Menu.prototype.create;
-    Scene_Menu.prototype.create = function() {
-        _Scene_Menu_create.call(this);
-        if ($gameHDB && $gameHDB.time) {
-            $gameHDB.time.onMenuOpen();
+    // Drop listeners owned by a scene once it has been replaced
+    const _SceneManager_changeScene = SceneManager.changeScene;
+    SceneManager.changeScene = function() {
+        const previousScene = this._scene;
+        _SceneManager_changeScene.call(this);
+        if (previousScene && this._scene !== previousScene) {
+            timeEvents.removeOwner(previousScene);
         }
     };
 
-    const _Scene_Menu_terminate = Scene_Menu.prototype.terminate;
-    Scene_Menu.prototype.terminate = function() {
-        if ($gameHDB && $gameHDB.time) {
+    // Track menu time with the same rules that pause the clock
+    let sceneWasPaused = false;
+    const _SceneManager_onSceneCreate = SceneManager.onSceneCreate;
+    SceneManager.onSceneCreate = function() {
+        _SceneManager_onSceneCreate.call(this);
+        if (!$gameHDB || !$gameHDB.time) {
+            sceneWasPaused = false;
+            return;
+        }
+
+        const scenePaused = $gameHDB.time.isScenePaused(this._scene);
+        const category = this._scene instanceof Scene_Battle ? 'battle' : (scenePaused ? 'menu' : null);
+        $gameHDB.time.statistics.onSceneChange(category);
+        if (scenePaused && !sceneWasPaused) {
+            $gameHDB.time.onMenuOpen();
+        } else if (!scenePaused && sceneWasPaused) {
             $gameHDB.time.onMenuClose();
         }
-        _Scene_Menu_terminate.call(this);
+        sceneWasPaused = scenePaused;
     };
 
-    // Add battle hooks
-    const _Scene_Battle_create = Scene_Battle.prototype.create;
-    Scene_Battle.prototype.create = function() {
-        _Scene_Battle_create.call(this);
-        if ($gameHDB && $gameHDB.time) {
-            $gameHDB.time.onMenuOpen();
+    // Plugin commands
+    const isFadeArg = (arg) => (arg || '').toLowerCase() === 'fade';
+
+    // Thrown by the argument helpers; the command is skipped with a warning
+    class InvalidArgumentError extends Error {}
+
+    // Numeric argument, or fallback when it is left out
+    const numberArg = (arg, fallback) => {
+        if ((arg === undefined || arg === '') && fallback !== undefined) return fallback;
+        const value = Number(arg);
+        if (arg === undefined || arg === '' || !Number.isFinite(value)) {
+            throw new InvalidArgumentError(`Expected a number, got "${arg}"`);
         }
+        return value;
     };
 
-    const _Scene_Battle_terminate = Scene_Battle.prototype.terminate;
-    Scene_Battle.prototype.terminate = function() {
-        if ($gameHDB && $gameHDB.time) {
-            $gameHDB.time.onMenuClose();
+    // Durations in game minutes; "90", "3h" and "2d" are accepted
+    const parseDuration = (arg) => {
+        const match = /^(\d+(?:\.\d+)?)([mhd]?)$/i.exec((arg || '').trim());
+        if (!match) {
+            throw new InvalidArgumentError(`Expected a duration, got "${arg}"`);
+        }
+        const units = { '': 1, m: 1, h: MINUTES_PER_HOUR, d: MINUTES_PER_DAY };
+        return Math.round(Number(match[1]) * units[match[2].toLowerCase()]);
+    };
+
+    const TIME_COMMANDS = {
+        settime: (time, args) => time.setTime(numberArg(args[0]), numberArg(args[1], 0)),
+        setday: (time, args) => time.setDay(numberArg(args[0])),
+        setmonth: (time, args) => time.setMonth(numberArg(args[0])),
+        setseason: (time, args) => time.setSeason(isNaN(args[0]) ? args[0] : numberArg(args[0])),
+        setyear: (time, args) => time.setYear(numberArg(args[0])),
+        addminutes: (time, args) => time.addMinutes(numberArg(args[0])),
+        addhours: (time, args) => time.addHours(numberArg(args[0])),
+        adddays: (time, args) => time.addDays(numberArg(args[0])),
+        pause: (time) => time.pauseTime(),
+        resume: (time) => time.resumeTime(),
+        sleep: (time, args) => time.sleepUntilNextDay({ fade: isFadeArg(args[0]) }),
+        sleepuntil: (time, args) => time.sleepUntil(numberArg(args[0]), numberArg(args[1], 0), { fade: isFadeArg(args[2]) }),
+        nap: (time, args) => time.nap(numberArg(args[0]), { fade: isFadeArg(args[1]) }),
+        advance: (time, args) => time.advanceTime(numberArg(args[0]), { fade: isFadeArg(args[1]) }),
+        advanceto: (time, args) => time.advanceTo(numberArg(args[0]), numberArg(args[1], 0), { fade: isFadeArg(args[2]) }),
+        advancedays: (time, args) => time.advanceDays(numberArg(args[0]), { fade: isFadeArg(args[1]) }),
+        settimescale: (time, args) => time.setTimeScale(numberArg(args[0])),
+        schedule: (time, args) => time.schedule({
+            id: args[0],
+            hour: numberArg(args[1]),
+            minute: numberArg(args[2], 0),
+            repeat: args[3] || 'none',
+            commonEventId: numberArg(args[4], 0)
+        }),
+        unschedule: (time, args) => time.cancelSchedule(args[0]),
+        timer: (time, args) => time.createTimer({
+            id: args[0],
+            minutes: parseDuration(args[1]),
+            commonEventId: numberArg(args[2], 0),
+            variableId: numberArg(args[3], 0)
+        }),
+        canceltimer: (time, args) => time.cancelTimer(args[0]),
+        statistics: (time) => time.openStatistics()
+    };
+
+    const _Game_Interpreter_updateWaitMode = Game_Interpreter.prototype.updateWaitMode;
+    Game_Interpreter.prototype.updateWaitMode = function() {
+        if (this._waitMode === 'hdbTimeAdvance') {
+            if ($gameHDB && $gameHDB.time && $gameHDB.time.isAdvancing()) {
+                return true;
+            }
+            this._waitMode = '';
+            return false;
+        }
+        return _Game_Interpreter_updateWaitMode.call(this);
+    };
+
+    const _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+    Game_Interpreter.prototype.pluginCommand = function(command, args) {
+        _Game_Interpreter_pluginCommand.call(this, command, args);
+        if (command.toLowerCase() !== 'timeclock' || !$gameHDB || !$gameHDB.time) return;
+
+        const subCommand = (args[0] || '').toLowerCase();
+        const handler = TIME_COMMANDS[subCommand];
+        if (handler) {
+            try {
+                handler($gameHDB.time, args.slice(1));
+            } catch (error) {
+                if (!(error instanceof InvalidArgumentError)) throw error;
+                $gameHDB.time.logger.warn('Invalid TimeClock command argument', { args, error: error.message });
+                return;
+            }
+            // Hold the event until a faded time skip has finished
+            if ($gameHDB.time.isAdvancing()) {
+                this.setWaitMode('hdbTimeAdvance');
+            }
+        } else {
+            $gameHDB.time.logger.warn('Unknown TimeClock command', { args });
         }
-        _Scene_Battle_terminate.call(this);
     };
-})(); 
\ No newline at end of file
+})();
@@ -0,0 +1,571 @@
+/*:
+ * @plugindesc v1.0.0_beta Calendar screen extension for the Time Clock Core plugin
+ * @author HDB & Associates
+ * 
+ * @target MV
+ * 
+ * @param Calendar Settings
+ * @text ----- Calendar Settings -----
+ * 
+ * @param showMenuCommand
+ * @parent Calendar Settings
+ * @text Show Menu Command
+ * @type boolean
+ * @desc Add a command to the main menu that opens the calendar
+ * @default true
+ * 
+ * @param menuCommandName
+ * @parent Calendar Settings
+ * @text Menu Command Name
+ * @type string
+ * @desc Name of the calendar command in the main menu
+ * @default Calendar
+ * 
+ * @param todayColor
+ * @parent Calendar Settings
+ * @text Today Color
+ * @type number
+ * @min 0
+ * @max 31
+ * @desc Windowskin color number used to highlight today
+ * @default 24
+ * 
+ * @param holidayColor
+ * @parent Calendar Settings
+ * @text Holiday Color
+ * @type number
+ * @min 0
+ * @max 31
+ * @desc Windowskin color number of holiday day numbers and markers
+ * @default 2
+ * 
+ * @param markerColor
+ * @parent Calendar Settings
+ * @text Marker Color
+ * @type number
+ * @min 0
+ * @max 31
+ * @desc Windowskin color number of markers without their own icon or color
+ * @default 3
+ * 
+ * @help This plugin extends the Time Clock Core plugin with a calendar screen
+ * showing the days of a month as a grid under the weekday names.
+ * 
+ * =============================================================================
+ * Plugin Dependencies
+ * =============================================================================
+ * 
+ * This plugin requires HDB_Core_TimeClock.js to be loaded first.
+ * 
+ * =============================================================================
+ * Calendar Screen
+ * =============================================================================
+ * 
+ * The calendar opens on today, which is highlighted. Holidays and days with
+ * markers get a dot (or the marker's icon) and the details of the selected
+ * day are shown below the grid. Time does not pass while it is open.
+ * 
+ * Arrow keys     - Select a day; moving past the first or last day turns the
+ *                  page to the previous or next month
+ * Q / W          - Previous / next season
+ * Shift + Q / W  - Previous / next year
+ * Cancel         - Close
+ * 
+ * In a calendar without months each season is shown as one page.
+ * Years before the starting year can't be shown.
+ * 
+ * =============================================================================
+ * Markers
+ * =============================================================================
+ * 
+ * Markers are notes on dates, e.g. a birthday or a quest deadline. A marker
+ * matches dates like a holiday does: season (-1 = any), month (0 = any),
+ * day (0 = any; day of the month when a month is set, otherwise day of the
+ * season) and weekday (-1 = any), plus year (0 = every year).
+ * 
+ * icon is an icon index drawn in the day's cell; color is a windowskin color
+ * number or CSS color of the dot drawn when there is no icon.
+ * 
+ * Markers are kept in save files.
+ * 
+ * =============================================================================
+ * Script API
+ * =============================================================================
+ * 
+ * $gameHDB.calendar.addMarker({ label: "Mia's birthday", season: 1, day: 12, icon: 84 })
+ *                                         - Returns the marker's id
+ * $gameHDB.calendar.addMarker({ id: 'harvest', label: 'Harvest', season: 2, day: 20 })
+ *                                         - With an id (number or string) of your
+ *                                           own; adding a marker with an id that is
+ *                                           already used replaces that marker
+ * $gameHDB.calendar.removeMarker(id)
+ * $gameHDB.calendar.getMarkers()          - Every marker
+ * $gameHDB.calendar.getMarkersOn(date)    - Markers on a date (getDateInfo() result
+ *                                           or date parts, like getHolidaysOn)
+ * $gameHDB.calendar.open()                - Open the calendar screen
+ * 
+ * =============================================================================
+ * Plugin Commands
+ * =============================================================================
+ * 
+ * Calendar Open        - Open the calendar screen
+ */
+
+(function() {
+    const params = PluginManager.parameters('HDB_TimeClock_Calendar');
+
+    const MINUTES_PER_DAY = 24 * 60;
+
+    // Calendar System Class
+    class CalendarSystem {
+        constructor() {
+            this.logger = window.HDB_Logger.forPlugin('HDB_TimeClock_Calendar');
+            this.initialize();
+        }
+
+        initialize() {
+            this.markers = [];
+            this.nextMarkerId = 1;
+
+            if (window.$gameHDB && window.$gameHDB.save) {
+                window.$gameHDB.save.initializePlugin('calendar', {
+                    markers: [],
+                    nextMarkerId: 1
+                });
+                const savedData = window.$gameHDB.save.getPluginData('calendar');
+                if (savedData) {
+                    Object.assign(this, savedData);
+                    this.logger.info('Loaded calendar data', savedData);
+                }
+            }
+        }
+
+        saveData() {
+            if (window.$gameHDB && window.$gameHDB.save) {
+                window.$gameHDB.save.setPluginData('calendar', {
+                    markers: this.markers,
+                    nextMarkerId: this.nextMarkerId
+                });
+            }
+        }
+
+        normalizeMarker(definition) {
+            const numberOr = (value, fallback) => value === undefined || value === '' ? fallback : Number(value);
+            const id = definition.id !== undefined ? definition.id : this.nextMarkerId++;
+            // Generated ids must not run into ids chosen by the caller
+            if (typeof id === 'number' && Number.isFinite(id)) {
+                this.nextMarkerId = Math.max(this.nextMarkerId, Math.floor(id) + 1);
+            }
+            return {
+                id,
+                label: definition.label || '',
+                year: numberOr(definition.year, 0),
+                season: numberOr(definition.season, -1),
+                month: numberOr(definition.month, 0),
+                day: numberOr(definition.day, 0),
+                weekday: numberOr(definition.weekday, -1),
+                icon: numberOr(definition.icon, 0),
+                color: definition.color !== undefined ? definition.color : ''
+            };
+        }
+
+        addMarker(definition) {
+            const marker = this.normalizeMarker(definition || {});
+            // Adding a marker with an existing id replaces it
+            this.removeMarker(marker.id);
+            this.markers.push(marker);
+            this.logger.info('Added calendar marker', marker);
+            return marker.id;
+        }
+
+        removeMarker(id) {
+            const index = this.markers.findIndex(marker => marker.id === id);
+            if (index >= 0) {
+                this.markers.splice(index, 1);
+            }
+        }
+
+        getMarkers() {
+            return this.markers.slice();
+        }
+
+        // Same rules as holidays, plus the year
+        matches(marker, date) {
+            if (marker.year > 0 && marker.year !== date.year) return false;
+            if (marker.season >= 0 && marker.season !== date.season) return false;
+            if (marker.month > 0 && marker.month !== date.month) return false;
+            if (marker.weekday >= 0 && marker.weekday !== date.weekday) return false;
+            if (marker.day > 0) {
+                const day = marker.month > 0 ? date.day : date.dayOfSeason;
+                if (marker.day !== day) return false;
+            }
+            return true;
+        }
+
+        getMarkersOn(date) {
+            const resolved = $gameHDB.time.resolveDate(date);
+            return this.markers.filter(marker => this.matches(marker, resolved));
+        }
+
+        open() {
+            SceneManager.push(Scene_Calendar);
+        }
+    }
+
+    const getCalendarSystem = () => {
+        if (!$gameHDB.calendar) {
+            $gameHDB.calendar = new CalendarSystem();
+        }
+        return $gameHDB.calendar;
+    };
+
+    // Day grid of one month, with the page and selected day
+    class Window_Calendar extends Window_Base {
+        constructor(x, y, width, height) {
+            super(x, y, width, height);
+            const today = $gameHDB.time.getDateInfo();
+            this._year = today.year;
+            this._monthIndex = today.month - 1;
+            this._day = today.day;
+            this._helpWindow = null;
+            this.refresh();
+        }
+
+        setHelpWindow(helpWindow) {
+            this._helpWindow = helpWindow;
+            this.updateHelp();
+        }
+
+        calendar() {
+            return $gameHDB.time.getCalendar();
+        }
+
+        currentMonth() {
+            return this.calendar().months[this._monthIndex];
+        }
+
+        // Date info of a day of the shown month, also for days before the game started
+        getDate(day) {
+            const time = $gameHDB.time;
+            const calendarDay = (this._year - time.startingYear) * this.calendar().daysPerYear +
+                this.currentMonth().startDay + day - 1;
+            return time.getDateInfo((calendarDay - time.calendarOffset) * MINUTES_PER_DAY);
+        }
+
+        getTitle() {
+            const month = this.currentMonth();
+            const seasonName = this.calendar().seasons[month.season].name;
+            const monthPart = month.name !== seasonName ? ` - ${month.name}` : '';
+            return `${seasonName}${monthPart}, Year ${this._year}`;
+        }
+
+        // Empty cells before day 1 so it sits under its weekday
+        leadingCells() {
+            return this.getDate(1).weekday;
+        }
+
+        columnCount() {
+            return this.calendar().weekdays.length;
+        }
+
+        rowCount() {
+            return Math.ceil((this.leadingCells() + this.currentMonth().days) / this.columnCount());
+        }
+
+        cellRect(day) {
+            const cell = this.leadingCells() + day - 1;
+            const width = Math.floor(this.contentsWidth() / this.columnCount());
+            const height = Math.floor((this.contentsHeight() - this.lineHeight()) / this.rowCount());
+            return new Rectangle(
+                (cell % this.columnCount()) * width,
+                this.lineHeight() + Math.floor(cell / this.columnCount()) * height,
+                width,
+                height
+            );
+        }
+
+        isToday(date) {
+            const today = $gameHDB.time.getDateInfo();
+            return date.year === today.year && date.dayOfYear === today.dayOfYear;
+        }
+
+        refresh() {
+            this.contents.clear();
+            this.drawWeekdayHeaders();
+            for (let day = 1; day <= this.currentMonth().days; day++) {
+                this.drawDay(day);
+            }
+            this.updateCursor();
+            this.updateHelp();
+        }
+
+        drawWeekdayHeaders() {
+            const width = Math.floor(this.contentsWidth() / this.columnCount());
+            this.changeTextColor(this.systemColor());
+            this.calendar().weekdays.forEach((name, index) => {
+                this.drawText(name.slice(0, 3), index * width, 0, width, 'center');
+            });
+            this.resetTextColor();
+        }
+
+        drawDay(day) {
+            const rect = this.cellRect(day);
+            const date = this.getDate(day);
+            const holidays = $gameHDB.time.getHolidaysOn(date);
+            const markers = getCalendarSystem().getMarkersOn(date);
+
+            if (this.isToday(date)) {
+                this.contents.paintOpacity = 96;
+                this.contents.fillRect(rect.x + 1, rect.y + 1, rect.width - 2, rect.height - 2,
+                    this.textColor(Number(params.todayColor || 24)));
+                this.contents.paintOpacity = 255;
+            }
+
+            const holidayColor = this.textColor(Number(params.holidayColor || 2));
+            this.changeTextColor(holidays.length > 0 ? holidayColor : this.normalColor());
+            this.drawText(day, rect.x + this.textPadding(), rect.y, rect.width - this.textPadding() * 2);
+            this.resetTextColor();
+
+            // Marker icons along the bottom of the cell, then dots for the rest
+            const iconSize = Math.min(Window_Base._iconWidth, rect.height - this.lineHeight());
+            let x = rect.x + 4;
+            const iconY = rect.y + rect.height - iconSize - 2;
+            markers.filter(marker => marker.icon > 0).forEach(marker => {
+                if (iconSize >= Window_Base._iconWidth && x + iconSize <= rect.x + rect.width) {
+                    this.drawIcon(marker.icon, x, iconY);
+                    x += iconSize + 2;
+                }
+            });
+            const dots = holidays.map(() => holidayColor).concat(markers
+                .filter(marker => marker.icon === 0 || iconSize < Window_Base._iconWidth)
+                .map(marker => this.getMarkerColor(marker)));
+            dots.forEach(color => {
+                if (x + 8 <= rect.x + rect.width) {
+                    this.contents.drawCircle(x + 4, rect.y + rect.height - 8, 4, color);
+                    x += 10;
+                }
+            });
+        }
+
+        // Windowskin color numbers or CSS colors
+        getMarkerColor(marker) {
+            if (marker.color === '') {
+                return this.textColor(Number(params.markerColor || 3));
+            }
+            return /^\d+$/.test(String(marker.color).trim()) ? this.textColor(Number(marker.color)) : marker.color;
+        }
+
+        updateCursor() {
+            const rect = this.cellRect(this._day);
+            this.setCursorRect(rect.x, rect.y, rect.width, rect.height);
+        }
+
+        updateHelp() {
+            if (!this._helpWindow) return;
+            const date = this.getDate(this._day);
+            const holidays = $gameHDB.time.getHolidaysOn(date).map(holiday => `\\C[${params.holidayColor || 2}]${holiday.name}\\C[0]`);
+            const markers = getCalendarSystem().getMarkersOn(date).map(marker =>
+                (marker.icon > 0 ? `\\I[${marker.icon}]` : '') + marker.label);
+            const events = holidays.concat(markers);
+            const title = `${date.weekdayName}, ${date.monthName} ${date.day}, Year ${date.year}`;
+            this._helpWindow.setText(`${title}\n${events.length > 0 ? events.join(', ') : 'No events'}`);
+        }
+
+        // Move the selected day, turning the page at the ends of the month
+        moveDay(delta) {
+            let year = this._year;
+            let monthIndex = this._monthIndex;
+            let day = this._day + delta;
+            const months = this.calendar().months;
+
+            while (day < 1) {
+                monthIndex--;
+                if (monthIndex < 0) {
+                    monthIndex = months.length - 1;
+                    year--;
+                }
+                day += months[monthIndex].days;
+            }
+            while (day > months[monthIndex].days) {
+                day -= months[monthIndex].days;
+                monthIndex++;
+                if (monthIndex >= months.length) {
+                    monthIndex = 0;
+                    year++;
+                }
+            }
+            return this.showPage(year, monthIndex, day);
+        }
+
+        // Jump to the first month of another season, keeping the day where possible
+        changeSeason(delta) {
+            const seasons = this.calendar().seasons;
+            const current = this.currentMonth().season + delta;
+            const year = this._year + Math.floor(current / seasons.length);
+            const season = seasons[((current % seasons.length) + seasons.length) % seasons.length];
+            return this.showPage(year, season.firstMonth, this._day);
+        }
+
+        changeYear(delta) {
+            return this.showPage(this._year + delta, this._monthIndex, this._day);
+        }
+
+        // Returns false when the page would be before the starting year
+        showPage(year, monthIndex, day) {
+            if (year < $gameHDB.time.startingYear) {
+                return false;
+            }
+            const pageChanged = year !== this._year || monthIndex !== this._monthIndex;
+            this._year = year;
+            this._monthIndex = monthIndex;
+            this._day = Math.min(day, this.currentMonth().days);
+            if (pageChanged) {
+                this.refresh();
+            } else {
+                this.updateCursor();
+                this.updateHelp();
+            }
+            return true;
+        }
+
+        selectDay(day) {
+            return this.showPage(this._year, this._monthIndex, day);
+        }
+
+        // Day under a touch position, or 0
+        hitTestDay(x, y) {
+            const localX = this.canvasToLocalX(x) - this.padding;
+            const localY = this.canvasToLocalY(y) - this.padding;
+            for (let day = 1; day <= this.currentMonth().days; day++) {
+                const rect = this.cellRect(day);
+                if (localX >= rect.x && localX < rect.x + rect.width && localY >= rect.y && localY < rect.y + rect.height) {
+                    return day;
+                }
+            }
+            return 0;
+        }
+    }
+
+    class Scene_Calendar extends Scene_MenuBase {
+        create() {
+            super.create();
+            this._titleWindow = new Window_Help(1);
+            this._helpWindow = new Window_Help(2);
+            this._helpWindow.y = Graphics.boxHeight - this._helpWindow.height;
+            const gridHeight = this._helpWindow.y - this._titleWindow.height;
+            this._calendarWindow = new Window_Calendar(0, this._titleWindow.height, Graphics.boxWidth, gridHeight);
+            this._calendarWindow.setHelpWindow(this._helpWindow);
+            this.addWindow(this._titleWindow);
+            this.addWindow(this._calendarWindow);
+            this.addWindow(this._helpWindow);
+            this.refreshTitle();
+        }
+
+        refreshTitle() {
+            this._titleWindow.setText(this._calendarWindow.getTitle());
+        }
+
+        update() {
+            super.update();
+            if (Input.isTriggered('cancel') || TouchInput.isCancelled()) {
+                SoundManager.playCancel();
+                this.popScene();
+                return;
+            }
+            this.updateNavigation();
+        }
+
+        updateNavigation() {
+            const calendar = this._calendarWindow;
+            const step = Input.isPressed('shift') ? calendar.changeYear.bind(calendar) : calendar.changeSeason.bind(calendar);
+            let moved = null;
+
+            if (Input.isRepeated('left')) {
+                moved = calendar.moveDay(-1);
+            } else if (Input.isRepeated('right')) {
+                moved = calendar.moveDay(1);
+            } else if (Input.isRepeated('up')) {
+                moved = calendar.moveDay(-calendar.columnCount());
+            } else if (Input.isRepeated('down')) {
+                moved = calendar.moveDay(calendar.columnCount());
+            } else if (Input.isRepeated('pageup')) {
+                moved = step(-1);
+            } else if (Input.isRepeated('pagedown')) {
+                moved = step(1);
+            } else if (TouchInput.isTriggered()) {
+                const day = calendar.hitTestDay(TouchInput.x, TouchInput.y);
+                if (day > 0) {
+                    moved = calendar.selectDay(day);
+                }
+            }
+
+            if (moved === true) {
+                SoundManager.playCursor();
+                this.refreshTitle();
+            } else if (moved === false) {
+                SoundManager.playBuzzer();
+            }
+        }
+    }
+
+    // Time does not pass while the calendar is shown
+    if ($gameHDB && $gameHDB.time) {
+        $gameHDB.time.registerPauseScene(Scene_Calendar);
+    }
+
+    window.Window_Calendar = Window_Calendar;
+    window.Scene_Calendar = Scene_Calendar;
+
+    // Create the calendar system once the time system exists for this game
+    const _Scene_Map_createDisplayObjects = Scene_Map.prototype.createDisplayObjects;
+    Scene_Map.prototype.createDisplayObjects = function() {
+        _Scene_Map_createDisplayObjects.call(this);
+        if ($gameHDB && $gameHDB.time) {
+            getCalendarSystem();
+        }
+    };
+
+    // Main menu command
+    const _Window_MenuCommand_addOriginalCommands = Window_MenuCommand.prototype.addOriginalCommands;
+    Window_MenuCommand.prototype.addOriginalCommands = function() {
+        _Window_MenuCommand_addOriginalCommands.call(this);
+        if (params.showMenuCommand !== 'false') {
+            this.addCommand(params.menuCommandName || 'Calendar', 'calendar', !!($gameHDB && $gameHDB.time));
+        }
+    };
+
+    const _Scene_Menu_createCommandWindow = Scene_Menu.prototype.createCommandWindow;
+    Scene_Menu.prototype.createCommandWindow = function() {
+        _Scene_Menu_createCommandWindow.call(this);
+        this._commandWindow.setHandler('calendar', this.commandCalendar.bind(this));
+    };
+
+    Scene_Menu.prototype.commandCalendar = function() {
+        getCalendarSystem().open();
+    };
+
+    // Add save hook to DataManager
+    const _DataManager_makeSaveContents = DataManager.makeSaveContents;
+    DataManager.makeSaveContents = function() {
+        const contents = _DataManager_makeSaveContents.call(this);
+        if ($gameHDB && $gameHDB.calendar) {
+            $gameHDB.calendar.saveData();
+        }
+        return contents;
+    };
+
+    // Plugin commands
+    const _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+    Game_Interpreter.prototype.pluginCommand = function(command, args) {
+        _Game_Interpreter_pluginCommand.call(this, command, args);
+        if (command.toLowerCase() !== 'calendar' || !$gameHDB || !$gameHDB.time) return;
+
+        switch ((args[0] || '').toLowerCase()) {
+            case 'open':
+                getCalendarSystem().open();
+                break;
+            default:
+                getCalendarSystem().logger.warn('Unknown Calendar command', { args });
+        }
+    };
+})();
@@ -11,7 +11,7 @@
  * @parent Display Settings
  * @text Window Position
  * @type struct<WindowPosition>
- * @default {"x":"right","y":"top","padding":"10"}
+ * @default {"x":"right","y":"top","padding":"10","offsetX":"0","offsetY":"0"}
  * 
  * @param Window Size
  * @parent Display Settings
@@ -23,9 +23,123 @@
  * @parent Display Settings
  * @text Display Format
  * @type string
- * @desc Format string for time display. Use {year}, {month}, {day}, {hour}, {minute} as placeholders
+ * @desc Format string for time display. See the help for all {tokens}, {?token}...{/token} sections and escape codes
  * @default Year {year} - {month}/{day} {hour}:{minute}
  * 
+ * @param Lines
+ * @parent Display Settings
+ * @text Lines
+ * @type struct<DisplayLine>[]
+ * @desc Lines of the text style, each with its own format and font. Leave empty for one line using Display Format.
+ * @default []
+ * 
+ * @param Display Style
+ * @parent Display Settings
+ * @text Display Style
+ * @type select
+ * @option text
+ * @option analog
+ * @option dial
+ * @option compact
+ * @desc text: formatted text. analog: clock face. dial: sun/moon arc. compact: season icon and time
+ * @default text
+ * 
+ * @param Season Icons
+ * @parent Display Settings
+ * @text Season Icons
+ * @type number[]
+ * @desc Icon index for each season, in season order (compact style)
+ * @default ["87","88","89","90"]
+ * 
+ * @param sunriseHour
+ * @parent Display Settings
+ * @text Sunrise Hour
+ * @type number
+ * @min 0
+ * @max 23
+ * @desc Hour the sun rises on the dial style
+ * @default 6
+ * 
+ * @param sunsetHour
+ * @parent Display Settings
+ * @text Sunset Hour
+ * @type number
+ * @min 1
+ * @max 24
+ * @desc Hour the sun sets on the dial style
+ * @default 18
+ * 
+ * @param Window Appearance
+ * @text ----- Window Appearance -----
+ * 
+ * @param windowskin
+ * @parent Window Appearance
+ * @text Windowskin
+ * @type file
+ * @dir img/system/
+ * @require 1
+ * @desc Windowskin image for the clock window
+ * @default Window
+ * 
+ * @param backOpacity
+ * @parent Window Appearance
+ * @text Back Opacity
+ * @type number
+ * @min 0
+ * @max 255
+ * @desc Opacity of the window background (0 - 255)
+ * @default 255
+ * 
+ * @param frameless
+ * @parent Window Appearance
+ * @text Frameless
+ * @type boolean
+ * @desc Draw only the text, without window frame and background
+ * @default false
+ * 
+ * @param hideDuringMessages
+ * @parent Display Settings
+ * @text Hide Behind Messages
+ * @type boolean
+ * @desc Hide the clock while an open message window overlaps it
+ * @default true
+ * 
+ * @param hideDuringEvents
+ * @parent Display Settings
+ * @text Hide During Events
+ * @type boolean
+ * @desc Hide the clock while a map event is running
+ * @default false
+ * 
+ * @param hideSwitch
+ * @parent Display Settings
+ * @text Hide Switch
+ * @type switch
+ * @desc The clock is hidden while this switch is ON (0 = none)
+ * @default 0
+ * 
+ * @param fadeDuration
+ * @parent Display Settings
+ * @text Fade Duration
+ * @type number
+ * @min 0
+ * @desc Frames the clock takes to fade in or out (0 = instant)
+ * @default 12
+ * 
+ * @param showInMenu
+ * @parent Display Settings
+ * @text Show In Menu
+ * @type boolean
+ * @desc Show the clock in the main menu, below the gold window
+ * @default false
+ * 
+ * @param showInBattle
+ * @parent Display Settings
+ * @text Show In Battle
+ * @type boolean
+ * @desc Show the clock during battle, at the Window Position
+ * @default false
+ * 
  * @param Lighting Settings
  * @text ----- Lighting Settings -----
  * 
@@ -69,7 +183,44 @@
  * The window position can be set to:
  * - x: left, center, right, or a specific number
  * - y: top, center, bottom, or a specific number
- * - padding: distance from the edge in pixels
+ * - padding: distance from the edge in pixels (named anchors only)
+ * - offsetX / offsetY: pixels added after anchoring, e.g. to sit below
+ *   another HUD element
+ * 
+ * Numbers are absolute screen coordinates of the window's top-left corner.
+ * The position is re-applied whenever the window changes size, so a window
+ * anchored right or center stays in place as the text grows and shrinks.
+ * 
+ * The clock can hide itself while an open message window overlaps it
+ * (Hide Behind Messages) or while any map event is running
+ * (Hide During Events).
+ * 
+ * =============================================================================
+ * Showing and Hiding
+ * =============================================================================
+ * 
+ * The clock fades out (Fade Duration) whenever any of these apply:
+ * - it was hidden with the Hide command or script call
+ * - the Hide Switch is ON
+ * - the map has <HideClock> in its note
+ * - an auto-hide rule above applies
+ * 
+ * Plugin Commands:
+ * TimeDisplay Show     - Show the clock again
+ * TimeDisplay Hide     - Hide the clock, e.g. for a cutscene
+ * TimeDisplay Toggle   - Switch between shown and hidden
+ * 
+ * Script API:
+ * $gameHDB.timeDisplay.show()
+ * $gameHDB.timeDisplay.hide()
+ * $gameHDB.timeDisplay.toggle()
+ * $gameHDB.timeDisplay.isHidden()
+ * 
+ * The shown/hidden state is kept in save files.
+ * 
+ * With Show In Menu the main menu shows the clock below the gold window, at
+ * the gold window's width. With Show In Battle the clock is shown in battle
+ * at the Window Position. The Hide command and Hide Switch apply there too.
  * 
  * =============================================================================
  * Window Size
@@ -79,21 +230,124 @@
  * - width: specific number in pixels
  * - height: auto (based on content) or specific number
  * 
+ * The text and compact styles size their width to the text, and with height
+ * auto the text style is as tall as its lines. The analog and
+ * dial styles use the width as given; with height auto the analog clock is
+ * square and the dial is half as tall as it is wide.
+ * 
+ * =============================================================================
+ * Display Styles
+ * =============================================================================
+ * 
+ * text    - The Display Format string
+ * analog  - A clock face with hour and minute hands
+ * dial    - An arc the sun travels along between Sunrise and Sunset Hour,
+ *           and the moon during the night
+ * compact - The current season's icon (Season Icons) and the time
+ * 
+ * The window only redraws when the in-game minute changes.
+ * 
  * =============================================================================
  * Display Format
  * =============================================================================
  * 
  * The display format can be customized using the following placeholders:
  * {year} - Current year
- * {month} - Current month
- * {day} - Current day
- * {hour} - Current hour
- * {minute} - Current minute (padded with leading zero)
+ * {month} - Current month of the year (2 digits)
+ * {monthName} - Name of the current month
+ * {day} - Current day of the month (2 digits)
+ * {dayOfSeason} - Current day of the season
+ * {season} - Current season number (1 = first season)
+ * {seasonName} - Name of the current season
+ * {weekday} - Name of the current weekday
+ * {hour} - Current hour, 0 - 23 (2 digits)
+ * {h12} - Current hour, 1 - 12
+ * {ampm} - AM or PM
+ * {minute} - Current minute (2 digits)
+ * {period} - Current time-of-day period, e.g. Morning (empty if none)
+ * {holiday} - Name of today's holiday (empty if none)
+ * 
+ * Padding: add :N to a number token to pad it to N digits, or :0 to show it
+ * without padding, e.g. {day:0} or {h12:2}.
+ * 
+ * Conditional sections: {?token}...{/token} is only shown when the token has
+ * a value (not empty and not 0), {!token}...{/token} only when it doesn't:
+ * "{hour}:{minute}{?holiday} - {holiday}{/holiday}"
+ * 
+ * The text is drawn with escape codes, so \I[n] (icon), \C[n] (color) and
+ * \V[n] (variable) work. The window sizes itself to the measured text.
+ * 
+ * {gold} - Party gold
+ * {weather} - Today's weather (needs HDB_TimeClock_Weather.js)
  * 
  * Example formats:
  * "Year {year} - {month}/{day} {hour}:{minute}"
  * "{hour}:{minute}"
  * "Day {day} of {month}"
+ * "\C[6]{weekday}\C[0] {h12}:{minute} {ampm}"
+ * "{seasonName} {day:0}{?period} ({period}){/period}"
+ * 
+ * =============================================================================
+ * Lines
+ * =============================================================================
+ * 
+ * The text style can show several lines, e.g. the date, the time and the
+ * party's gold, each with its own format, font face, size, colors, outline
+ * and alignment. Text color may be a CSS color (#ffe080) or a windowskin
+ * color number (0 - 31). With no lines set, Display Format is shown as one
+ * line in white 24px text.
+ * 
+ * Frameless hides the window frame and background so only the text shows;
+ * Back Opacity and Windowskin style the window otherwise.
+ */
+
+/*~struct~DisplayLine:
+ * @param format
+ * @text Format
+ * @type string
+ * @desc Text of this line, with the same tokens as Display Format
+ * @default {hour}:{minute}
+ * 
+ * @param fontFace
+ * @text Font Face
+ * @type string
+ * @desc Font family name (empty = game font)
+ * @default 
+ * 
+ * @param fontSize
+ * @text Font Size
+ * @type number
+ * @min 8
+ * @desc Font size in pixels
+ * @default 24
+ * 
+ * @param textColor
+ * @text Text Color
+ * @type string
+ * @desc CSS color (e.g. #ffffff) or windowskin color number
+ * @default #ffffff
+ * 
+ * @param outlineColor
+ * @text Outline Color
+ * @type string
+ * @desc CSS color of the text outline
+ * @default #000000
+ * 
+ * @param outlineWidth
+ * @text Outline Width
+ * @type number
+ * @min 0
+ * @desc Outline thickness in pixels
+ * @default 6
+ * 
+ * @param align
+ * @text Alignment
+ * @type select
+ * @option left
+ * @option center
+ * @option right
+ * @desc Alignment of this line in the window
+ * @default center
  */
 
 /*~struct~WindowPosition:
@@ -114,6 +368,20 @@
  * @type number
  * @desc Distance from the edge in pixels
  * @default 10
+ * 
+ * @param offsetX
+ * @text X Offset
+ * @type number
+ * @min -9999
+ * @desc Pixels added to the X position (negative moves left)
+ * @default 0
+ * 
+ * @param offsetY
+ * @text Y Offset
+ * @type number
+ * @min -9999
+ * @desc Pixels added to the Y position (negative moves up)
+ * @default 0
  */
 
 /*~struct~WindowSize:
@@ -139,52 +407,352 @@
         INDOOR_DARK: [-51, -51, -51, 51]
     };
 
+    // Colors for the analog and dial styles
+    const CLOCK_COLORS = {
+        FACE: '#f4f0e6',
+        HANDS: '#202020',
+        ARC_DAY: '#ffe9a8',
+        ARC_NIGHT: '#6b7fb3',
+        HORIZON: '#8c7b5c',
+        SUN: '#ffb638',
+        MOON: '#e8ecf5'
+    };
+
+    // Text style used when no Lines are configured
+    const DEFAULT_LINE_STYLE = {
+        fontFace: '',
+        fontSize: 24,
+        textColor: '#ffffff',
+        outlineColor: '#000000',
+        outlineWidth: 6,
+        align: 'center'
+    };
+
+    const parseLine = (json) => {
+        const line = JSON.parse(json);
+        return {
+            format: line.format || '',
+            fontFace: line.fontFace || '',
+            fontSize: Number(line.fontSize || DEFAULT_LINE_STYLE.fontSize),
+            textColor: line.textColor || DEFAULT_LINE_STYLE.textColor,
+            outlineColor: line.outlineColor || DEFAULT_LINE_STYLE.outlineColor,
+            outlineWidth: Number(line.outlineWidth === undefined ? DEFAULT_LINE_STYLE.outlineWidth : line.outlineWidth),
+            align: line.align || DEFAULT_LINE_STYLE.align
+        };
+    };
+
+    // Number tokens that are zero-padded unless the format says otherwise
+    const DEFAULT_PADDING = { month: 2, day: 2, hour: 2, minute: 2 };
+
+    // Token values for a getCurrentTime() result
+    const getTokenValues = (timeData) => ({
+        year: timeData.year || 1,
+        month: timeData.month || 1,
+        monthName: timeData.monthName || '',
+        day: timeData.day || 1,
+        dayOfSeason: timeData.dayOfSeason || 1,
+        season: (timeData.season || 0) + 1,
+        seasonName: timeData.seasonName || '',
+        weekday: timeData.weekdayName || '',
+        hour: timeData.hour || 0,
+        h12: (timeData.hour || 0) % 12 || 12,
+        ampm: (timeData.hour || 0) < 12 ? 'AM' : 'PM',
+        minute: timeData.minute || 0,
+        period: timeData.period || '',
+        holiday: timeData.holiday || '',
+        gold: typeof $gameParty !== 'undefined' && $gameParty ? $gameParty.gold() : 0,
+        weather: $gameHDB && $gameHDB.weather ? $gameHDB.weather.getWeather() : ''
+    });
+
+    // Expand {token}, {token:N} and {?token}...{/token} / {!token}...{/token}.
+    // Unknown tokens are left as they are.
+    const formatTime = (format, timeData) => {
+        const values = getTokenValues(timeData);
+        const hasValue = (name) => !!values[name];
+
+        let text = format;
+        let previous;
+        // Repeat so sections nested inside other sections are resolved too
+        do {
+            previous = text;
+            text = text.replace(/\{([?!])(\w+)\}([\s\S]*?)\{\/\2\}/g, (match, mode, name, content) =>
+                (mode === '?') === hasValue(name) ? content : '');
+        } while (text !== previous);
+
+        return text.replace(/\{(\w+)(?::(\d+))?\}/g, (match, name, width) => {
+            if (!(name in values)) return match;
+            const value = values[name];
+            if (typeof value !== 'number') return value;
+            const digits = width === undefined ? (DEFAULT_PADDING[name] || 0) : Number(width);
+            return String(value).padStart(digits, '0');
+        });
+    };
+
+    // Shown/hidden state set by plugin commands and script calls
+    class ClockVisibility {
+        constructor() {
+            this.logger = window.HDB_Logger.forPlugin('HDB_TimeClock_Display');
+            this.initialize();
+        }
+
+        initialize() {
+            this.hidden = false;
+
+            if (window.$gameHDB && window.$gameHDB.save) {
+                window.$gameHDB.save.initializePlugin('timeDisplay', { hidden: false });
+                const savedData = window.$gameHDB.save.getPluginData('timeDisplay');
+                if (savedData) {
+                    Object.assign(this, savedData);
+                }
+            }
+        }
+
+        saveData() {
+            if (window.$gameHDB && window.$gameHDB.save) {
+                window.$gameHDB.save.setPluginData('timeDisplay', { hidden: this.hidden });
+            }
+        }
+
+        show() {
+            this.hidden = false;
+            this.logger.info('Clock shown');
+        }
+
+        hide() {
+            this.hidden = true;
+            this.logger.info('Clock hidden');
+        }
+
+        toggle() {
+            if (this.hidden) {
+                this.show();
+            } else {
+                this.hide();
+            }
+        }
+
+        isHidden() {
+            return this.hidden;
+        }
+    }
+
+    const getClockVisibility = () => {
+        if (!$gameHDB.timeDisplay) {
+            $gameHDB.timeDisplay = new ClockVisibility();
+        }
+        return $gameHDB.timeDisplay;
+    };
+
     // Time Display Window Class
     class Window_TimeDisplay extends Window_Base {
-        constructor() {
+        // options.context: 'map', 'menu' or 'battle'
+        // options.position / options.width: override Window Position / the auto width
+        constructor(options = {}) {
             // Get plugin parameters first
             const params = PluginManager.parameters('HDB_TimeClock_Display');
             const size = JSON.parse(params['Window Size'] || '{"width":"350","height":"auto"}');
+            const position = options.position ||
+                JSON.parse(params['Window Position'] || '{"x":"right","y":"top","padding":"10"}');
             
             // Calculate size
-            // We'll calculate the actual width based on text content in refresh()
+            // We'll calculate the actual width (and auto height) from the content in refresh()
             const height = size.height === 'auto' ? 60 : Number(size.height);
-            
-            // Calculate top right position
-            const padding = 10; // Padding from screen edges
-            const x = Graphics.width - padding; // We'll adjust this after calculating width
-            const y = padding;
 
-            // Call super constructor with temporary width
-            super(x, y, 100, height);
+            // Call super constructor with temporary position and width
+            super(0, 0, 100, height);
             
             // Now we can use this for logging
             this.logger = window.HDB_Logger.forPlugin('HDB_TimeClock_Display');
             
             // Store parameters for later use
             this.size = size;
+            // Not this.position: that is the PIXI transform point and keeps only x/y
+            this._placement = {
+                x: String(position.x || 'right').trim().toLowerCase(),
+                y: String(position.y || 'top').trim().toLowerCase(),
+                padding: Number(position.padding || 0),
+                offsetX: Number(position.offsetX || 0),
+                offsetY: Number(position.offsetY || 0)
+            };
+            this.hideDuringMessages = params.hideDuringMessages !== 'false';
+            this.hideDuringEvents = params.hideDuringEvents === 'true';
+            this.hideSwitch = Number(params.hideSwitch || 0);
+            this.fadeDuration = Number(params.fadeDuration === undefined ? 12 : params.fadeDuration);
+            this.context = options.context || 'map';
+            this.fixedWidth = options.width || 0;
+            this._fadeOpacity = null;
+            this.displayStyle = (params['Display Style'] || 'text').toLowerCase();
+            this.seasonIcons = JSON.parse(params['Season Icons'] || '[]').map(Number);
+            this.sunriseHour = Number(params.sunriseHour === undefined ? 6 : params.sunriseHour);
+            this.sunsetHour = Number(params.sunsetHour || 18);
+            this.lines = JSON.parse(params.Lines || '[]').map(parseLine);
+            if (this.lines.length === 0) {
+                this.lines = [Object.assign({ format: params['Display Format'] || '' }, DEFAULT_LINE_STYLE)];
+            }
+            this._lineStyle = null;
+            this._displayKey = null;
+
+            // The drawn styles keep the configured size
+            if (this.displayStyle === 'analog' || this.displayStyle === 'dial') {
+                this.width = this.fixedWidth || Number(size.width);
+                this.height = this.getDrawnStyleHeight();
+                this.createContents();
+            }
             
             // Set window properties
-            this.opacity = 255;
-            this.contents.fontSize = 24;
-            this.contents.textColor = '#ffffff';
-            this.contents.outlineColor = '#000000';
-            this.contents.outlineWidth = 6;
+            this.applyAppearance(params);
+            this.applyTextStyle();
             
             // Make sure window is visible
             this.visible = true;
             this.active = true;
-            this.backOpacity = 255;
             
             // Initialize update tracking
             this.lastUpdateTime = Date.now();
             this._updateInterval = 1000; // Update every 1000ms (1 second)
             
-            // Initial refresh to calculate proper width
+            // Initial refresh to calculate proper width and position
             this.refresh();
-            
-            // Adjust window position based on calculated width
-            this.x = Graphics.width - this.width - padding;
+            this.updatePlacement();
+        }
+
+        loadWindowskin() {
+            const params = PluginManager.parameters('HDB_TimeClock_Display');
+            this.windowskin = ImageManager.loadSystem(params.windowskin || 'Window');
+        }
+
+        applyAppearance(params) {
+            // Frame opacity when fully shown; fading scales it
+            this.baseOpacity = params.frameless === 'true' ? 0 : 255;
+            this.opacity = this.baseOpacity;
+            if (params.frameless !== 'true') {
+                this.backOpacity = Number(params.backOpacity === undefined ? 255 : params.backOpacity);
+            }
+        }
+
+        // Place the window from the Window Position parameter and its current size
+        updatePlacement() {
+            const position = this._placement;
+            // The menu and battle add it to their window layer, which covers the box area
+            const onMap = this.context === 'map';
+            const screenWidth = onMap ? Graphics.width : Graphics.boxWidth;
+            const screenHeight = onMap ? Graphics.height : Graphics.boxHeight;
+            this.x = this.resolveCoordinate(position.x, 'left', 'right', screenWidth, this.width) + position.offsetX;
+            this.y = this.resolveCoordinate(position.y, 'top', 'bottom', screenHeight, this.height) + position.offsetY;
+        }
+
+        resolveCoordinate(value, start, end, screenSize, windowSize) {
+            const padding = this._placement.padding;
+            switch (value) {
+                case start:
+                    return padding;
+                case 'center':
+                    return Math.floor((screenSize - windowSize) / 2);
+                case end:
+                    return screenSize - windowSize - padding;
+                default:
+                    return Number(value) || 0;
+            }
+        }
+
+        // Fade toward shown or hidden; messageWindow is the scene's message window, if any
+        updateVisibility(messageWindow) {
+            const target = this.isClockHidden(messageWindow) ? 0 : 255;
+            // Start fully shown or hidden instead of fading in on every scene change
+            if (this._fadeOpacity === null) {
+                this._fadeOpacity = target;
+            }
+            const step = this.fadeDuration > 0 ? 255 / this.fadeDuration : 255;
+            if (this._fadeOpacity < target) {
+                this._fadeOpacity = Math.min(target, this._fadeOpacity + step);
+            } else if (this._fadeOpacity > target) {
+                this._fadeOpacity = Math.max(target, this._fadeOpacity - step);
+            }
+            this.opacity = Math.round(this.baseOpacity * this._fadeOpacity / 255);
+            this.contentsOpacity = Math.round(this._fadeOpacity);
+            this.visible = this._fadeOpacity > 0;
+        }
+
+        isClockHidden(messageWindow) {
+            if (getClockVisibility().isHidden()) {
+                return true;
+            }
+            if (this.hideSwitch > 0 && $gameSwitches.value(this.hideSwitch)) {
+                return true;
+            }
+            if (this.context === 'menu') {
+                return false;
+            }
+            if (this.context === 'map' && $dataMap && $dataMap.meta && $dataMap.meta.HideClock) {
+                return true;
+            }
+            return this.shouldAutoHide(messageWindow);
+        }
+
+        // Auto-hide rules; messageWindow is the scene's message window, if any
+        shouldAutoHide(messageWindow) {
+            const interpreterHost = this.context === 'battle' ? $gameTroop : $gameMap;
+            if (this.hideDuringEvents && interpreterHost.isEventRunning()) {
+                return true;
+            }
+            return this.hideDuringMessages && !!messageWindow && messageWindow.isOpen() &&
+                this.overlaps(messageWindow);
+        }
+
+        overlaps(other) {
+            return this.x < other.x + other.width && other.x < this.x + this.width &&
+                this.y < other.y + other.height && other.y < this.y + this.height;
+        }
+
+        getDrawnStyleHeight() {
+            if (this.size.height !== 'auto') {
+                return Number(this.size.height);
+            }
+            const width = Number(this.size.width);
+            return this.displayStyle === 'dial' ? Math.floor(width / 2) + this.standardPadding() * 2 : width;
+        }
+
+        // Resize, keeping the window anchored
+        resize(width, height = this.height) {
+            width = this.fixedWidth || width;
+            if (this.width !== width || this.height !== height) {
+                this.width = width;
+                this.height = height;
+                this.createContents();
+                this.updatePlacement();
+            }
+        }
+
+        // Font settings of a line (the line being drawn, or the first line)
+        applyTextStyle(style = this._lineStyle || this.lines[0]) {
+            this.contents.fontFace = style.fontFace || this.standardFontFace();
+            this.contents.fontSize = style.fontSize;
+            this.contents.textColor = this.resolveColor(style.textColor);
+            this.contents.outlineColor = style.outlineColor;
+            this.contents.outlineWidth = style.outlineWidth;
+        }
+
+        // Windowskin color numbers or CSS colors
+        resolveColor(color) {
+            return /^\d+$/.test(String(color).trim()) ? this.textColor(Number(color)) : color;
+        }
+
+        getLineHeight(style) {
+            return style.fontSize + 8;
+        }
+
+        // Escape-code text starts from the clock's text style
+        resetFontSettings() {
+            super.resetFontSettings();
+            // createContents runs before the lines are parsed during construction
+            if (this.lines) {
+                this.applyTextStyle();
+            }
+        }
+
+        // Width of escape-code text, drawn below the visible contents
+        measureTextEx(text) {
+            return this.drawTextEx(text, 0, this.contents.height);
         }
 
         update() {
@@ -192,13 +760,17 @@
             const now = Date.now();
             const timeSinceLastUpdate = now - this.lastUpdateTime;
             
+            // Redraw only when the displayed minute (or gold/weather) changes
+            if ($gameHDB && $gameHDB.time && this.getDisplayKey() !== this._displayKey) {
+                this.refresh();
+            }
+            
             // Only update if we've waited at least 1000ms since the last update
             if (timeSinceLastUpdate >= 1000) {
-                // Force a refresh of the time data
-                if ($gameHDB && $gameHDB.time) {
+                // Force a refresh of the time data; time is paused in the menu and in battle
+                if ($gameHDB && $gameHDB.time && this.context === 'map') {
                     $gameHDB.time.update();
                 }
-                this.refresh();
                 this.lastUpdateTime = now;
                 
                 // Log the update timing
@@ -210,30 +782,53 @@
             }
         }
 
+        getDisplayKey() {
+            if (!$gameHDB || !$gameHDB.time) return null;
+            if (this.displayStyle !== 'text') return $gameHDB.time.currentTime;
+            const values = getTokenValues({});
+            return `${$gameHDB.time.currentTime}|${values.gold}|${values.weather}`;
+        }
+
         refresh() {
+            this._displayKey = this.getDisplayKey();
             this.contents.clear();
-            const timeString = this.getFormattedTimeString();
+
+            switch (this.displayStyle) {
+                case 'analog':
+                    this.drawAnalogClock();
+                    break;
+                case 'dial':
+                    this.drawSunMoonDial();
+                    break;
+                case 'compact':
+                    this.refreshCompact();
+                    break;
+                default:
+                    this.refreshText();
+            }
+        }
+
+        refreshText() {
+            const lines = this.lines.map(style => ({ style, text: this.getFormattedTimeString(style.format) }));
             
-            // Calculate text width
-            this.contents.fontSize = 24;
-            const textWidth = this.textWidth(timeString);
-            const outlinePadding = this.contents.outlineWidth * 2;
-            const fixedPadding = 30; // needs some padding to the right to avoid cutting off the text
-            const totalWidth = textWidth + outlinePadding + fixedPadding;
+            // Measure each line with its own font and escape codes applied
+            lines.forEach(line => {
+                this._lineStyle = line.style;
+                line.width = this.measureTextEx(line.text) + line.style.outlineWidth * 2;
+            });
+            const textWidth = Math.max(...lines.map(line => line.width));
+            const textHeight = lines.reduce((sum, line) => sum + this.getLineHeight(line.style), 0);
+            const totalWidth = textWidth + (this.standardPadding() + this.textPadding()) * 2;
+            const totalHeight = this.size.height === 'auto' ? textHeight + this.standardPadding() * 2 : this.height;
             
-            // Resize window if needed
-            if (this.width !== totalWidth) {
-                this.width = totalWidth;
-                this.createContents();
-            }
+            // Resize window if needed, keeping it anchored
+            this.resize(totalWidth, totalHeight);
             
-            // Log the time string being drawn
+            // Log the lines being drawn
             this.logger.info('Refreshing time display', {
-                timeString,
+                lines: lines.map(line => line.text),
                 textWidth,
-                outlinePadding,
-                fixedPadding,
-                totalWidth,
+                textHeight,
                 windowWidth: this.width,
                 windowHeight: this.height,
                 x: this.x,
@@ -241,15 +836,14 @@
                 parent: this.parent ? 'Scene_Map' : 'none'
             });
             
-            // Draw text with a larger font size and more visible color
-            this.contents.fontSize = 24;
-            this.contents.textColor = '#ffffff';
-            this.contents.outlineColor = '#000000';
-            this.contents.outlineWidth = 6;
-            
-            // Draw text with horizontal centering and adjusted vertical position
-            // Move text up by using a negative y offset
-            this.drawText(timeString, 0, -5, this.width, this.height, 'center');
+            // Draw the lines as a block, vertically centered in the contents
+            let y = Math.floor((this.contentsHeight() - textHeight) / 2);
+            lines.forEach(line => {
+                this._lineStyle = line.style;
+                this.drawTextEx(line.text, this.getLineX(line), y);
+                y += this.getLineHeight(line.style);
+            });
+            this._lineStyle = null;
             
             // Log the window's current state
             this.logger.info('Window state after refresh', {
@@ -265,9 +859,113 @@
             });
         }
 
-        getFormattedTimeString() {
-            const params = PluginManager.parameters('HDB_TimeClock_Display');
-            let format = params['Display Format'];
+        // Season icon followed by hh:mm
+        refreshCompact() {
+            if (!$gameHDB || !$gameHDB.time) return;
+            const timeData = $gameHDB.time.getCurrentTime();
+            const iconIndex = this.seasonIcons[timeData.season] || 0;
+            const timeString = `${String(timeData.hour).padStart(2, '0')}:${String(timeData.minute).padStart(2, '0')}`;
+
+            this.applyTextStyle();
+            const iconSpace = Window_Base._iconWidth + 4;
+            const textWidth = this.textWidth(timeString) + this.contents.outlineWidth * 2;
+            this.resize(iconSpace + textWidth + this.standardPadding() * 2);
+
+            this.applyTextStyle();
+            this.drawIcon(iconIndex, 0, Math.floor((this.contentsHeight() - Window_Base._iconHeight) / 2));
+            this.drawText(timeString, iconSpace, 0, textWidth, this.contentsHeight());
+        }
+
+        drawAnalogClock() {
+            if (!$gameHDB || !$gameHDB.time) return;
+            const timeData = $gameHDB.time.getCurrentTime();
+            const centerX = this.contentsWidth() / 2;
+            const centerY = this.contentsHeight() / 2;
+            const radius = Math.min(centerX, centerY) - 2;
+            const context = this.contents.context;
+
+            this.contents.drawCircle(centerX, centerY, radius, CLOCK_COLORS.FACE);
+
+            context.save();
+            context.strokeStyle = CLOCK_COLORS.HANDS;
+            context.lineCap = 'round';
+
+            // Hour marks, heavier at 12, 3, 6 and 9
+            for (let mark = 0; mark < 12; mark++) {
+                const angle = mark / 12 * Math.PI * 2;
+                context.lineWidth = mark % 3 === 0 ? 3 : 1;
+                this.strokeRadialLine(context, centerX, centerY, angle, radius * 0.82, radius * 0.95);
+            }
+
+            const minuteAngle = timeData.minute / 60 * Math.PI * 2;
+            const hourAngle = ((timeData.hour % 12) + timeData.minute / 60) / 12 * Math.PI * 2;
+            context.lineWidth = 4;
+            this.strokeRadialLine(context, centerX, centerY, hourAngle, 0, radius * 0.5);
+            context.lineWidth = 2;
+            this.strokeRadialLine(context, centerX, centerY, minuteAngle, 0, radius * 0.78);
+
+            context.restore();
+            this.contents.drawCircle(centerX, centerY, 3, CLOCK_COLORS.HANDS);
+            this.contents._setDirty();
+        }
+
+        // Line along an angle measured clockwise from 12 o'clock
+        strokeRadialLine(context, centerX, centerY, angle, fromRadius, toRadius) {
+            const dx = Math.sin(angle);
+            const dy = -Math.cos(angle);
+            context.beginPath();
+            context.moveTo(centerX + dx * fromRadius, centerY + dy * fromRadius);
+            context.lineTo(centerX + dx * toRadius, centerY + dy * toRadius);
+            context.stroke();
+        }
+
+        // The sun crosses the arc between sunrise and sunset, the moon during the night
+        drawSunMoonDial() {
+            if (!$gameHDB || !$gameHDB.time) return;
+            const timeData = $gameHDB.time.getCurrentTime();
+            const dayMinutes = timeData.hour * 60 + timeData.minute;
+            const sunrise = this.sunriseHour * 60;
+            const sunset = this.sunsetHour * 60;
+            const isDay = dayMinutes >= sunrise && dayMinutes < sunset;
+            const progress = isDay ? (dayMinutes - sunrise) / (sunset - sunrise) :
+                ((dayMinutes - sunset + 1440) % 1440) / (1440 - (sunset - sunrise));
+
+            const width = this.contentsWidth();
+            const horizonY = this.contentsHeight() - 4;
+            const bodyRadius = 8;
+            const radius = Math.min(width / 2, horizonY) - bodyRadius - 2;
+            const centerX = width / 2;
+            const context = this.contents.context;
+
+            context.save();
+            context.strokeStyle = isDay ? CLOCK_COLORS.ARC_DAY : CLOCK_COLORS.ARC_NIGHT;
+            context.lineWidth = 2;
+            context.beginPath();
+            context.arc(centerX, horizonY, radius, Math.PI, Math.PI * 2);
+            context.stroke();
+            context.restore();
+            this.contents.fillRect(0, horizonY, width, 2, CLOCK_COLORS.HORIZON);
+
+            const angle = Math.PI + progress * Math.PI;
+            const bodyX = centerX + Math.cos(angle) * radius;
+            const bodyY = horizonY + Math.sin(angle) * radius;
+            this.contents.drawCircle(bodyX, bodyY, bodyRadius, isDay ? CLOCK_COLORS.SUN : CLOCK_COLORS.MOON);
+            this.contents._setDirty();
+        }
+
+        getLineX(line) {
+            const offset = line.style.outlineWidth;
+            switch (line.style.align) {
+                case 'left':
+                    return offset;
+                case 'right':
+                    return this.contentsWidth() - line.width + offset;
+                default:
+                    return Math.floor((this.contentsWidth() - line.width) / 2) + offset;
+            }
+        }
+
+        getFormattedTimeString(format = this.lines[0].format) {
             
             // Safety check for time system
             if (!$gameHDB || !$gameHDB.time) {
@@ -287,22 +985,7 @@
             // Log the time data we're working with
             this.logger.info('Time data received', timeData);
 
-            // Ensure all required values exist with defaults
-            const values = {
-                year: timeData.year || 1,
-                month: timeData.month || 1,
-                day: timeData.day || 1,
-                hour: timeData.hour || 0,
-                minute: timeData.minute || 0
-            };
-
-            // Replace placeholders with actual values
-            return format
-                .replace(/{year}/g, values.year)
-                .replace(/{month}/g, values.month.toString().padStart(2, '0'))
-                .replace(/{day}/g, values.day.toString().padStart(2, '0'))
-                .replace(/{hour}/g, values.hour.toString().padStart(2, '0'))
-                .replace(/{minute}/g, values.minute.toString().padStart(2, '0'));
+            return formatTime(format, timeData);
         }
     }
 
@@ -400,8 +1083,6 @@
         this._timeDisplayWindow.z = 100;
         this._timeDisplayWindow.visible = true;
         this._timeDisplayWindow.active = true;
-        this._timeDisplayWindow.opacity = 255;
-        this._timeDisplayWindow.backOpacity = 255;
         
         // Add to scene
         this.addChild(this._timeDisplayWindow);
@@ -432,9 +1113,9 @@
         _Scene_Map_update.call(this);
         if (this._timeDisplayWindow) {
             this._timeDisplayWindow.update();
-            // Ensure window stays on top and visible
+            // Ensure window stays on top; fade it out while hidden
             this._timeDisplayWindow.z = 100;
-            this._timeDisplayWindow.visible = true;
+            this._timeDisplayWindow.updateVisibility(this._messageWindow);
             this._timeDisplayWindow.active = true;
             
             // Log window state periodically
@@ -452,6 +1133,85 @@
         }
     };
 
+    // Scene_Menu extension: the clock goes below the gold window, which moves up to make room
+    const _Scene_Menu_create = Scene_Menu.prototype.create;
+    Scene_Menu.prototype.create = function() {
+        _Scene_Menu_create.call(this);
+        const params = PluginManager.parameters('HDB_TimeClock_Display');
+        if (params.showInMenu !== 'true' || !$gameHDB || !$gameHDB.time) return;
+
+        // The clock's bottom edge takes the place of the gold window's
+        const goldWindow = this._goldWindow;
+        this._timeDisplayWindow = new Window_TimeDisplay({
+            context: 'menu',
+            position: { x: String(goldWindow.x), y: 'bottom', padding: Graphics.boxHeight - goldWindow.y - goldWindow.height },
+            width: goldWindow.width
+        });
+        goldWindow.y = this._timeDisplayWindow.y - goldWindow.height;
+        this._timeDisplayWindow.updateVisibility(null);
+        this.addWindow(this._timeDisplayWindow);
+    };
+
+    const _Scene_Menu_update = Scene_Menu.prototype.update;
+    Scene_Menu.prototype.update = function() {
+        _Scene_Menu_update.call(this);
+        if (this._timeDisplayWindow) {
+            this._timeDisplayWindow.updateVisibility(null);
+        }
+    };
+
+    // Scene_Battle extension
+    const _Scene_Battle_createAllWindows = Scene_Battle.prototype.createAllWindows;
+    Scene_Battle.prototype.createAllWindows = function() {
+        _Scene_Battle_createAllWindows.call(this);
+        const params = PluginManager.parameters('HDB_TimeClock_Display');
+        if (params.showInBattle !== 'true' || !$gameHDB || !$gameHDB.time) return;
+
+        this._timeDisplayWindow = new Window_TimeDisplay({ context: 'battle' });
+        this._timeDisplayWindow.updateVisibility(this._messageWindow);
+        this.addWindow(this._timeDisplayWindow);
+    };
+
+    const _Scene_Battle_update = Scene_Battle.prototype.update;
+    Scene_Battle.prototype.update = function() {
+        _Scene_Battle_update.call(this);
+        if (this._timeDisplayWindow) {
+            this._timeDisplayWindow.updateVisibility(this._messageWindow);
+        }
+    };
+
+    // Plugin commands
+    const _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+    Game_Interpreter.prototype.pluginCommand = function(command, args) {
+        _Game_Interpreter_pluginCommand.call(this, command, args);
+        if (command.toLowerCase() !== 'timedisplay' || !$gameHDB) return;
+
+        const visibility = getClockVisibility();
+        switch ((args[0] || '').toLowerCase()) {
+            case 'show':
+                visibility.show();
+                break;
+            case 'hide':
+                visibility.hide();
+                break;
+            case 'toggle':
+                visibility.toggle();
+                break;
+            default:
+                visibility.logger.warn('Unknown TimeDisplay command', { args });
+        }
+    };
+
+    // Add save hook to DataManager
+    const _DataManager_makeSaveContents = DataManager.makeSaveContents;
+    DataManager.makeSaveContents = function() {
+        const contents = _DataManager_makeSaveContents.call(this);
+        if ($gameHDB && $gameHDB.timeDisplay) {
+            $gameHDB.timeDisplay.saveData();
+        }
+        return contents;
+    };
+
     // Initialize lighting system
     if ($gameHDB && $gameHDB.time) {
         const lightingSystem = new LightingSystem();
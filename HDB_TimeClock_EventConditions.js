@@ -0,0 +1,164 @@
+/*:
+ * @plugindesc v1.0.0_beta Time-dependent event page conditions for the Time Clock Core plugin
+ * @author HDB & Associates
+ * 
+ * @target MV
+ * 
+ * @help This plugin lets event pages depend on the time of day, season, weekday
+ * or day of the month, using comment tags on the page.
+ * 
+ * =============================================================================
+ * Plugin Dependencies
+ * =============================================================================
+ * 
+ * This plugin requires HDB_Core_TimeClock.js to be loaded first.
+ * 
+ * =============================================================================
+ * Page Comment Tags
+ * =============================================================================
+ * 
+ * Add a Comment command anywhere on an event page:
+ * 
+ * <Time: 18:00-22:00>          Active from 18:00 up to (not including) 22:00.
+ *                              Ranges may wrap past midnight (22:00-04:00) and
+ *                              several ranges can be listed: 06:00-09:00, 18:00-22:00
+ * <Season: Winter>             Active in the listed seasons (names or indices)
+ * <Weekday: Sat,Sun>           Active on the listed weekdays. Names may be
+ *                              shortened (Sat = Saturday) or given as indices.
+ * <DayRange: 10-15>            Active on days 10 to 15 of the month (inclusive)
+ * 
+ * A page with several tags is active only when all of them match, on top of
+ * its normal switch/variable/item conditions. Pages are refreshed when the
+ * hour, day or season changes, and every minute on maps with tags that start
+ * or end off the hour.
+ */
+
+(function() {
+    const TAG_PATTERN = /<(Time|Season|Weekday|DayRange)\s*:\s*([^>]+)>/gi;
+
+    // Convert "HH:MM" to minutes into the day
+    const parseClock = (text) => {
+        const parts = text.trim().split(':');
+        return Number(parts[0]) * 60 + Number(parts[1] || 0);
+    };
+
+    const splitList = (text) => text.split(',').map(entry => entry.trim()).filter(entry => entry);
+
+    // Collect the time conditions from a page's comments, cached on the page
+    const getPageConditions = (page) => {
+        if (page._hdbTimeConditions) return page._hdbTimeConditions;
+
+        const conditions = { time: null, season: null, weekday: null, dayRange: null };
+        page.list.forEach(command => {
+            if (command.code !== 108 && command.code !== 408) return;
+            const text = command.parameters[0];
+            let match;
+            TAG_PATTERN.lastIndex = 0;
+            while ((match = TAG_PATTERN.exec(text))) {
+                const value = match[2];
+                switch (match[1].toLowerCase()) {
+                    case 'time':
+                        conditions.time = splitList(value).map(range => {
+                            const ends = range.split('-');
+                            return { start: parseClock(ends[0]), end: parseClock(ends[1] || ends[0]) };
+                        });
+                        break;
+                    case 'season':
+                        conditions.season = splitList(value);
+                        break;
+                    case 'weekday':
+                        conditions.weekday = splitList(value);
+                        break;
+                    case 'dayrange': {
+                        const ends = value.split('-');
+                        conditions.dayRange = { from: Number(ends[0]), to: Number(ends[1] || ends[0]) };
+                        break;
+                    }
+                }
+            }
+        });
+
+        page._hdbTimeConditions = conditions;
+        return conditions;
+    };
+
+    // Match an index against a list of names or indices. Names match case-insensitively
+    // and by prefix, so Sat matches Saturday.
+    const matchesNameList = (list, index, name) => list.some(entry => {
+        if (!isNaN(entry)) return Number(entry) === index;
+        return name && name.toLowerCase().indexOf(entry.toLowerCase()) === 0;
+    });
+
+    const isInTimeRange = (minutes, range) => {
+        if (range.start <= range.end) {
+            return minutes >= range.start && minutes < range.end;
+        }
+        return minutes >= range.start || minutes < range.end;
+    };
+
+    const meetsTimeConditions = (page) => {
+        if (!$gameHDB || !$gameHDB.time) return true;
+        const conditions = getPageConditions(page);
+        if (!conditions.time && !conditions.season && !conditions.weekday && !conditions.dayRange) {
+            return true;
+        }
+
+        const now = $gameHDB.time.getCurrentTime();
+        if (conditions.time) {
+            const minutes = now.hour * 60 + now.minute;
+            if (!conditions.time.some(range => isInTimeRange(minutes, range))) return false;
+        }
+        if (conditions.season && !matchesNameList(conditions.season, now.season, now.seasonName)) {
+            return false;
+        }
+        if (conditions.weekday && !matchesNameList(conditions.weekday, now.weekday, now.weekdayName)) {
+            return false;
+        }
+        if (conditions.dayRange && (now.day < conditions.dayRange.from || now.day > conditions.dayRange.to)) {
+            return false;
+        }
+        return true;
+    };
+
+    const _Game_Event_meetsConditions = Game_Event.prototype.meetsConditions;
+    Game_Event.prototype.meetsConditions = function(page) {
+        return _Game_Event_meetsConditions.call(this, page) && meetsTimeConditions(page);
+    };
+
+    // Which kinds of refresh the current map needs, worked out once per map
+    let mapTagInfo = { mapId: 0, hasTags: false, needsMinutes: false };
+
+    const getMapTagInfo = () => {
+        const mapId = $gameMap.mapId();
+        if (mapTagInfo.mapId === mapId) return mapTagInfo;
+
+        mapTagInfo = { mapId, hasTags: false, needsMinutes: false };
+        $gameMap.events().forEach(event => {
+            event.event().pages.forEach(page => {
+                const conditions = getPageConditions(page);
+                if (conditions.time || conditions.season || conditions.weekday || conditions.dayRange) {
+                    mapTagInfo.hasTags = true;
+                }
+                if (conditions.time && conditions.time.some(range => range.start % 60 || range.end % 60)) {
+                    mapTagInfo.needsMinutes = true;
+                }
+            });
+        });
+        return mapTagInfo;
+    };
+
+    const refreshTimedPages = (minuteChange) => {
+        if (typeof $gameMap === 'undefined' || !$gameMap || !$dataMap) return;
+        const info = getMapTagInfo();
+        if (info.hasTags && (!minuteChange || info.needsMinutes)) {
+            $gameMap.requestRefresh();
+        }
+    };
+
+    if ($gameHDB && $gameHDB.time) {
+        $gameHDB.time.on('minuteChange', () => refreshTimedPages(true));
+        $gameHDB.time.on('hourChange', () => refreshTimedPages(false));
+        $gameHDB.time.on('dayChange', () => refreshTimedPages(false));
+        $gameHDB.time.on('seasonChange', () => refreshTimedPages(false));
+    }
+})();
@@ -0,0 +1,427 @@
+/*:
+ * @plugindesc v1.0.0_beta NPC daily schedules for the Time Clock Core plugin
+ * @author HDB & Associates
+ * 
+ * @target MV
+ * 
+ * @param Schedule Settings
+ * @text ----- Schedule Settings -----
+ * 
+ * @param scheduleFile
+ * @parent Schedule Settings
+ * @type string
+ * @desc JSON file in the data folder with shared NPC schedules (e.g. NpcSchedules.json). Leave empty for none.
+ * @default 
+ * 
+ * @param walkThreshold
+ * @parent Schedule Settings
+ * @type number
+ * @min 0
+ * @desc NPCs walk to a new point when the clock moved at most this many minutes; bigger jumps place them directly
+ * @default 30
+ * 
+ * @param blockedFrames
+ * @parent Schedule Settings
+ * @type number
+ * @min 1
+ * @desc Frames a walking NPC may stay blocked before it is placed at its destination
+ * @default 180
+ * 
+ * @help This plugin moves events through daily routines: home at 6:00, shop at
+ * 9:00, tavern at 19:00 and so on.
+ * 
+ * =============================================================================
+ * Plugin Dependencies
+ * =============================================================================
+ * 
+ * This plugin requires HDB_Core_TimeClock.js to be loaded first.
+ * 
+ * =============================================================================
+ * Event Schedules
+ * =============================================================================
+ * 
+ * Put a schedule in a Comment command on the event's first page. Each line is
+ * a start time and where the NPC is from then on:
+ * 
+ * <Schedule>
+ * 06:00 12,8 down
+ * 09:00 20,15 left random
+ * 19:00 map 5
+ * </Schedule>
+ * 
+ * HH:MM x,y         Stand at x,y on this map
+ * HH:MM map N x,y   Be at x,y on map N (the NPC is hidden on other maps)
+ * down/left/right/up   Optional facing on arrival
+ * random            Optional: wander randomly after arriving
+ * 
+ * An entry stays active until the next one starts; before the first entry of
+ * the day the last entry of the previous day applies.
+ * 
+ * To share one schedule between maps, name it in the event's Note box instead:
+ * 
+ * <NpcSchedule: Anna>
+ * 
+ * and define it in the Schedule File:
+ * 
+ * {
+ *   "Anna": [
+ *     { "time": "06:00", "map": 3, "x": 12, "y": 8, "direction": 2 },
+ *     { "time": "09:00", "map": 5, "x": 20, "y": 15, "moveType": "random" },
+ *     { "time": "19:00", "map": 5, "x": 4, "y": 9,
+ *       "route": [{ "code": 16 }, { "code": 15, "parameters": [60] }, { "code": 18 }] }
+ *   ]
+ * }
+ * 
+ * "route" is a list of move route commands that repeats once the NPC has
+ * arrived. Place an event with <NpcSchedule: Anna> on every map she visits.
+ * If the Schedule File can't be loaded a warning is shown in the console and
+ * named schedules are ignored.
+ * 
+ * =============================================================================
+ * Behavior
+ * =============================================================================
+ * 
+ * When the player enters a map, scheduled NPCs are placed where they would be
+ * at the current time, so sleeping or skipping time never leaves them in the
+ * wrong spot. While the player is on the map, NPCs walk to their next point
+ * when their schedule changes.
+ * 
+ * An NPC scheduled on another map is erased until its schedule brings it
+ * back. Events erased by their own commands stay erased.
+ */
+
+(function() {
+    const params = PluginManager.parameters('HDB_TimeClock_NpcSchedules');
+    const MINUTES_PER_DAY = 24 * 60;
+    const DIRECTIONS = { down: 2, left: 4, right: 6, up: 8 };
+
+    // Load the shared schedule file alongside the database. A missing or broken
+    // file only disables named schedules instead of stopping the game.
+    const scheduleFile = (params.scheduleFile || '').trim();
+    let scheduleFileLoading = false;
+    window.$dataNpcSchedules = null;
+
+    const loadScheduleFile = () => {
+        const xhr = new XMLHttpRequest();
+        const url = 'data/' + scheduleFile;
+        const fail = (reason) => {
+            console.warn(`HDB_TimeClock_NpcSchedules: could not load ${url} (${reason})`);
+            scheduleFileLoading = false;
+        };
+        xhr.open('GET', url);
+        xhr.overrideMimeType('application/json');
+        xhr.onload = () => {
+            if (xhr.status >= 400) {
+                fail(`status ${xhr.status}`);
+                return;
+            }
+            try {
+                window.$dataNpcSchedules = JSON.parse(xhr.responseText);
+                scheduleFileLoading = false;
+            } catch (e) {
+                fail(e.message);
+            }
+        };
+        xhr.onerror = () => fail('request failed');
+        scheduleFileLoading = true;
+        xhr.send();
+    };
+
+    const _DataManager_loadDatabase = DataManager.loadDatabase;
+    DataManager.loadDatabase = function() {
+        _DataManager_loadDatabase.call(this);
+        if (scheduleFile && !window.$dataNpcSchedules) {
+            loadScheduleFile();
+        }
+    };
+
+    const _DataManager_isDatabaseLoaded = DataManager.isDatabaseLoaded;
+    DataManager.isDatabaseLoaded = function() {
+        return _DataManager_isDatabaseLoaded.call(this) && !scheduleFileLoading;
+    };
+
+    const parseClock = (text) => {
+        const parts = String(text).trim().split(':');
+        return Number(parts[0]) * 60 + Number(parts[1] || 0);
+    };
+
+    const parseDirection = (value) => {
+        if (value === undefined || value === null) return 0;
+        return DIRECTIONS[String(value).toLowerCase()] || Number(value) || 0;
+    };
+
+    // One line of a <Schedule> block, e.g. "09:00 map 5 20,15 left random"
+    const parseScheduleLine = (line) => {
+        const words = line.trim().split(/\s+/);
+        const entry = { time: parseClock(words.shift()), map: 0, x: null, y: null, direction: 0, moveType: null, route: null };
+
+        while (words.length > 0) {
+            const word = words.shift();
+            if (word.toLowerCase() === 'map') {
+                entry.map = Number(words.shift());
+            } else if (/^\d+,\d+$/.test(word)) {
+                const position = word.split(',');
+                entry.x = Number(position[0]);
+                entry.y = Number(position[1]);
+            } else if (word.toLowerCase() === 'random') {
+                entry.moveType = 'random';
+            } else if (parseDirection(word)) {
+                entry.direction = parseDirection(word);
+            }
+        }
+        return entry;
+    };
+
+    const normalizeFileEntry = (entry) => ({
+        time: parseClock(entry.time),
+        map: Number(entry.map || 0),
+        x: entry.x !== undefined ? Number(entry.x) : null,
+        y: entry.y !== undefined ? Number(entry.y) : null,
+        direction: parseDirection(entry.direction),
+        moveType: entry.moveType || null,
+        route: entry.route || null
+    });
+
+    // NPC Schedule System Class
+    class NpcScheduleSystem {
+        constructor() {
+            this.logger = window.HDB_Logger.forPlugin('HDB_TimeClock_NpcSchedules');
+            this.walkThreshold = Number(params.walkThreshold || 30);
+            this.blockedFrames = Number(params.blockedFrames || 180);
+            this.initialize();
+        }
+
+        initialize() {
+            // Active entry per event, keyed by "mapId_eventId"
+            this.states = {};
+            this.lastEvaluatedTime = null;
+
+            if (window.$gameHDB && window.$gameHDB.save) {
+                window.$gameHDB.save.initializePlugin('npcSchedules', {
+                    states: {},
+                    lastEvaluatedTime: null
+                });
+                const savedData = window.$gameHDB.save.getPluginData('npcSchedules');
+                if (savedData) {
+                    Object.assign(this, savedData);
+                    this.logger.info('Loaded NPC schedule data', savedData);
+                }
+            }
+        }
+
+        saveData() {
+            if (window.$gameHDB && window.$gameHDB.save) {
+                window.$gameHDB.save.setPluginData('npcSchedules', {
+                    states: this.states,
+                    lastEvaluatedTime: this.lastEvaluatedTime
+                });
+            }
+        }
+
+        // Text of the Comment commands on the event's first page
+        getPageComments(data) {
+            const page = data.pages && data.pages[0];
+            if (!page) return '';
+            return page.list
+                .filter(command => command.code === 108 || command.code === 408)
+                .map(command => command.parameters[0])
+                .join('\n');
+        }
+
+        // Schedule entries for an event, sorted by start time. Cached on the event data.
+        getEntries(event) {
+            const data = event.event();
+            if (data._hdbSchedule !== undefined) return data._hdbSchedule;
+
+            let entries = null;
+            const block = /<Schedule>([\s\S]*?)<\/Schedule>/i.exec(this.getPageComments(data));
+            if (block) {
+                entries = block[1].split(/\r?\n/).filter(line => line.trim()).map(parseScheduleLine);
+            } else if (data.meta && data.meta.NpcSchedule) {
+                const key = String(data.meta.NpcSchedule).trim();
+                const shared = typeof $dataNpcSchedules !== 'undefined' && $dataNpcSchedules ? $dataNpcSchedules[key] : null;
+                if (shared) {
+                    entries = shared.map(normalizeFileEntry);
+                } else {
+                    this.logger.warn('NPC schedule not found', { key, eventId: event.eventId() });
+                }
+            }
+
+            if (entries) {
+                entries.sort((a, b) => a.time - b.time);
+            }
+            data._hdbSchedule = entries && entries.length > 0 ? entries : null;
+            return data._hdbSchedule;
+        }
+
+        // Index of the entry active at a minute of the day
+        getActiveIndex(entries, dayMinutes) {
+            for (let i = entries.length - 1; i >= 0; i--) {
+                if (entries[i].time <= dayMinutes) return i;
+            }
+            // Before the first entry, yesterday's last entry still applies
+            return entries.length - 1;
+        }
+
+        onMapEnter() {
+            // Everyone is placed directly on the next update
+            this.lastEvaluatedTime = null;
+        }
+
+        update() {
+            const currentTime = $gameHDB.time.currentTime;
+            if (currentTime === this.lastEvaluatedTime) return;
+
+            const elapsed = this.lastEvaluatedTime === null ? Infinity : currentTime - this.lastEvaluatedTime;
+            const canWalk = elapsed > 0 && elapsed <= this.walkThreshold;
+            const entering = this.lastEvaluatedTime === null;
+            this.lastEvaluatedTime = currentTime;
+
+            const dayMinutes = currentTime % MINUTES_PER_DAY;
+            $gameMap.events().forEach(event => {
+                const entries = this.getEntries(event);
+                if (!entries) return;
+
+                const key = `${$gameMap.mapId()}_${event.eventId()}`;
+                const index = this.getActiveIndex(entries, dayMinutes);
+                const state = this.states[key];
+                if (!entering && state && state.entryIndex === index) return;
+
+                const previous = state ? entries[state.entryIndex] : null;
+                const walk = canWalk && !entering && previous && this.isOnThisMap(previous) && !event._erased;
+                this.states[key] = { entryIndex: index };
+                this.applyEntry(event, entries[index], walk);
+            });
+        }
+
+        isOnThisMap(entry) {
+            return !entry.map || entry.map === $gameMap.mapId();
+        }
+
+        applyEntry(event, entry, walk) {
+            if (!this.isOnThisMap(entry)) {
+                event._hdbScheduleTarget = null;
+                if (!event._erased) {
+                    event.erase();
+                    event._hdbScheduleErased = true;
+                }
+                return;
+            }
+
+            // Only bring back events this plugin erased
+            if (event._hdbScheduleErased) {
+                event._hdbScheduleErased = false;
+                event._erased = false;
+                event.refresh();
+            }
+
+            if (entry.x === null || entry.y === null) {
+                this.arrive(event, entry);
+            } else if (walk) {
+                event._hdbScheduleTarget = entry;
+                event._hdbScheduleBlocked = 0;
+                event._hdbScheduleMove = null;
+                this.logger.debug('NPC walking to schedule point', { eventId: event.eventId(), entry });
+            } else {
+                event.locate(entry.x, entry.y);
+                this.arrive(event, entry);
+            }
+        }
+
+        arrive(event, entry) {
+            event._hdbScheduleTarget = null;
+            if (entry.direction) {
+                event.setDirection(entry.direction);
+            }
+            event._hdbScheduleMove = entry.moveType || entry.route ? { moveType: entry.moveType, route: entry.route } : null;
+            event.applyScheduleMove();
+        }
+    }
+
+    const getNpcSchedules = () => {
+        if (!$gameHDB.npcSchedules) {
+            $gameHDB.npcSchedules = new NpcScheduleSystem();
+        }
+        return $gameHDB.npcSchedules;
+    };
+
+    // Game_Event extensions
+    Game_Event.prototype.applyScheduleMove = function() {
+        const move = this._hdbScheduleMove;
+        if (!move) return;
+        if (move.route) {
+            this._moveType = 3;
+            this.setMoveRoute({ list: move.route.concat([{ code: 0 }]), repeat: true, skippable: true, wait: false });
+        } else if (move.moveType === 'random') {
+            this._moveType = 1;
+        }
+    };
+
+    // Page changes reset the move type, so re-apply the scheduled one
+    const _Game_Event_setupPageSettings = Game_Event.prototype.setupPageSettings;
+    Game_Event.prototype.setupPageSettings = function() {
+        _Game_Event_setupPageSettings.call(this);
+        this.applyScheduleMove();
+    };
+
+    const _Game_Event_updateSelfMovement = Game_Event.prototype.updateSelfMovement;
+    Game_Event.prototype.updateSelfMovement = function() {
+        if (this._hdbScheduleTarget) {
+            this.updateScheduleWalk();
+        } else {
+            _Game_Event_updateSelfMovement.call(this);
+        }
+    };
+
+    Game_Event.prototype.updateScheduleWalk = function() {
+        if (this._locked || this.isMoving() || $gameMap.isEventRunning()) return;
+
+        const target = this._hdbScheduleTarget;
+        if (this.x === target.x && this.y === target.y) {
+            getNpcSchedules().arrive(this, target);
+            return;
+        }
+
+        const direction = this.findDirectionTo(target.x, target.y);
+        if (direction > 0) {
+            this.moveStraight(direction);
+        }
+        if (direction <= 0 || !this.isMovementSucceeded()) {
+            // Give up walking if the way stays blocked, e.g. by the player
+            this._hdbScheduleBlocked++;
+            if (this._hdbScheduleBlocked >= getNpcSchedules().blockedFrames) {
+                this.locate(target.x, target.y);
+                getNpcSchedules().arrive(this, target);
+            }
+        } else {
+            this._hdbScheduleBlocked = 0;
+        }
+    };
+
+    // Place everyone when the player enters a map
+    const _Game_Map_setup = Game_Map.prototype.setup;
+    Game_Map.prototype.setup = function(mapId) {
+        _Game_Map_setup.call(this, mapId);
+        if ($gameHDB && $gameHDB.time) {
+            getNpcSchedules().onMapEnter();
+        }
+    };
+
+    const _Game_Map_update = Game_Map.prototype.update;
+    Game_Map.prototype.update = function(sceneActive) {
+        _Game_Map_update.call(this, sceneActive);
+        if ($gameHDB && $gameHDB.time) {
+            getNpcSchedules().update();
+        }
+    };
+
+    // Add save hook to DataManager
+    const _DataManager_makeSaveContents = DataManager.makeSaveContents;
+    DataManager.makeSaveContents = function() {
+        const contents = _DataManager_makeSaveContents.call(this);
+        if ($gameHDB && $gameHDB.npcSchedules) {
+            $gameHDB.npcSchedules.saveData();
+        }
+        return contents;
+    };
+})();
@@ -0,0 +1,369 @@
+/*:
+ * @plugindesc v1.0.0_beta Season-driven weather extension for the Time Clock Core plugin
+ * @author HDB & Associates
+ * 
+ * @target MV
+ * 
+ * @param Weather Settings
+ * @text ----- Weather Settings -----
+ * 
+ * @param seasonWeather
+ * @parent Weather Settings
+ * @text Season Weather Tables
+ * @type struct<SeasonWeather>[]
+ * @desc Weather chances per season, in calendar season order
+ * @default ["{\"name\": \"Spring\", \"clear\": \"60\", \"rain\": \"30\", \"storm\": \"10\", \"snow\": \"0\"}", "{\"name\": \"Summer\", \"clear\": \"70\", \"rain\": \"15\", \"storm\": \"15\", \"snow\": \"0\"}", "{\"name\": \"Fall\", \"clear\": \"55\", \"rain\": \"35\", \"storm\": \"10\", \"snow\": \"0\"}", "{\"name\": \"Winter\", \"clear\": \"50\", \"rain\": \"5\", \"storm\": \"0\", \"snow\": \"45\"}"]
+ * 
+ * @param forecastDays
+ * @parent Weather Settings
+ * @type number
+ * @min 0
+ * @desc Number of days of forecast to keep ahead of today
+ * @default 3
+ * 
+ * @param outsideSwitch
+ * @parent Weather Settings
+ * @type switch
+ * @desc Switch ID for tracking if player is outside (0 = only use map notetags)
+ * @default 1
+ * 
+ * @param fadeDuration
+ * @parent Weather Settings
+ * @type number
+ * @min 0
+ * @desc Frames for weather to fade in or out when it changes during play
+ * @default 60
+ * 
+ * @help This plugin extends the Time Clock Core plugin with weather that is
+ * rolled at the start of each day from per-season probability tables.
+ * 
+ * =============================================================================
+ * Plugin Dependencies
+ * =============================================================================
+ * 
+ * This plugin requires HDB_Core_TimeClock.js to be loaded first.
+ * 
+ * =============================================================================
+ * Weather Types
+ * =============================================================================
+ * 
+ * clear, rain, storm, snow
+ * 
+ * Each season's table gives a weight for every type. Weights don't need to add
+ * up to 100; a type with weight 0 never happens in that season.
+ * 
+ * =============================================================================
+ * Outdoor Maps
+ * =============================================================================
+ * 
+ * Weather is only shown on outdoor maps. A map is outdoor when its note has
+ * <Outdoor>, or when the Outside Switch is ON and the note doesn't have
+ * <Indoor>. The weather itself keeps going while the player is indoors, and
+ * fades in or out when the Outside Switch changes on the current map.
+ * 
+ * =============================================================================
+ * Script API
+ * =============================================================================
+ * 
+ * $gameHDB.weather.getWeather()           - Today's weather type
+ * $gameHDB.weather.getForecast(days)      - [{ date, weather }] for the next days
+ * $gameHDB.weather.setWeather('rain')     - Override today's weather
+ * $gameHDB.weather.addWeatherChangeListener(({ weather, previousWeather }) => { ... });
+ * 
+ * The weatherChange event goes through the time system's event emitter, so
+ * $gameHDB.time.on('weatherChange', callback) works as well.
+ * 
+ * =============================================================================
+ * Plugin Commands
+ * =============================================================================
+ * 
+ * Weather Set type     - Override today's weather (clear, rain, storm, snow)
+ * Weather Reroll       - Roll today's weather again from the season table
+ */
+
+/*~struct~SeasonWeather:
+ * @param name
+ * @text Season
+ * @type string
+ * @desc Label for this table (tables are matched to seasons by order)
+ * @default Spring
+ * 
+ * @param clear
+ * @text Clear
+ * @type number
+ * @min 0
+ * @default 60
+ * 
+ * @param rain
+ * @text Rain
+ * @type number
+ * @min 0
+ * @default 30
+ * 
+ * @param storm
+ * @text Storm
+ * @type number
+ * @min 0
+ * @default 10
+ * 
+ * @param snow
+ * @text Snow
+ * @type number
+ * @min 0
+ * @default 0
+ */
+
+(function() {
+    // Screen weather for each weather type
+    const WEATHER_TYPES = {
+        clear: { type: 'none', power: 0 },
+        rain: { type: 'rain', power: 5 },
+        storm: { type: 'storm', power: 8 },
+        snow: { type: 'snow', power: 6 }
+    };
+
+    const MINUTES_PER_DAY = 24 * 60;
+
+    // Weather System Class
+    class WeatherSystem {
+        constructor() {
+            // Fall back to a silent logger when HDB_Core_Logger isn't loaded
+            this.logger = window.HDB_Logger ? window.HDB_Logger.forPlugin('HDB_TimeClock_Weather') : {
+                debug: () => {},
+                info: () => {},
+                warn: () => {},
+                error: () => {}
+            };
+            this.loadParameters();
+            this.initialize();
+        }
+
+        loadParameters() {
+            const params = PluginManager.parameters('HDB_TimeClock_Weather');
+            this.seasonTables = JSON.parse(params.seasonWeather || '[]').map(json => {
+                const table = JSON.parse(json);
+                const weights = {};
+                Object.keys(WEATHER_TYPES).forEach(type => {
+                    weights[type] = Number(table[type] || 0);
+                });
+                return weights;
+            });
+            this.forecastDays = Number(params.forecastDays || 3);
+            this.outsideSwitch = Number(params.outsideSwitch || 0);
+            this.fadeDuration = Number(params.fadeDuration || 60);
+
+            this.logger.info('Weather System Parameters', {
+                seasonTables: this.seasonTables,
+                forecastDays: this.forecastDays,
+                outsideSwitch: this.outsideSwitch
+            });
+        }
+
+        initialize() {
+            // forecast[0] is today, forecast[n] is n days from now
+            this.forecast = [];
+            this.lastRolledDay = 0;
+
+            if (window.$gameHDB && window.$gameHDB.save) {
+                window.$gameHDB.save.initializePlugin('weatherSystem', {
+                    forecast: [],
+                    lastRolledDay: 0
+                });
+                const savedData = window.$gameHDB.save.getPluginData('weatherSystem');
+                if (savedData) {
+                    Object.assign(this, savedData);
+                    this.logger.info('Loaded weather data', savedData);
+                }
+            }
+
+            if (this.forecast.length === 0) {
+                this.lastRolledDay = $gameHDB.time.getCurrentTime().totalDays;
+                this.fillForecast();
+            }
+        }
+
+        saveData() {
+            if (window.$gameHDB && window.$gameHDB.save) {
+                const weatherData = {
+                    forecast: this.forecast,
+                    lastRolledDay: this.lastRolledDay
+                };
+                window.$gameHDB.save.setPluginData('weatherSystem', weatherData);
+                this.logger.info('Saved weather data', weatherData);
+            }
+        }
+
+        // Roll a weather type for the season a number of days from now
+        rollWeather(daysAhead) {
+            const time = $gameHDB.time;
+            const season = time.getDateInfo(time.currentTime + daysAhead * MINUTES_PER_DAY).season;
+            const weights = this.seasonTables[season];
+            if (!weights) return 'clear';
+
+            const total = Object.keys(weights).reduce((sum, type) => sum + weights[type], 0);
+            let roll = Math.random() * total;
+            const types = Object.keys(weights);
+            for (let i = 0; i < types.length; i++) {
+                roll -= weights[types[i]];
+                if (roll < 0) return types[i];
+            }
+            return 'clear';
+        }
+
+        fillForecast() {
+            while (this.forecast.length < this.forecastDays + 1) {
+                this.forecast.push(this.rollWeather(this.forecast.length));
+            }
+        }
+
+        onDayChange(data) {
+            // Day change also fires when a save is first updated; only move on for a new day
+            if (data.day === this.lastRolledDay) return;
+            this.lastRolledDay = data.day;
+
+            const previousWeather = this.getWeather();
+            this.forecast.shift();
+            this.fillForecast();
+
+            this.logger.info('Weather rolled for new day', {
+                day: data.day,
+                weather: this.getWeather(),
+                forecast: this.forecast
+            });
+            this.handleWeatherChange(previousWeather);
+        }
+
+        handleWeatherChange(previousWeather) {
+            this.applyWeather(this.fadeDuration);
+            if (this.getWeather() !== previousWeather) {
+                $gameHDB.time.events.emit('weatherChange', {
+                    weather: this.getWeather(),
+                    previousWeather
+                });
+            }
+        }
+
+        getWeather() {
+            return this.forecast[0] || 'clear';
+        }
+
+        // Upcoming weather, starting tomorrow
+        getForecast(days = this.forecastDays) {
+            const time = $gameHDB.time;
+            return this.forecast.slice(1, days + 1).map((weather, index) => ({
+                date: time.getDateInfo(time.currentTime + (index + 1) * MINUTES_PER_DAY),
+                weather
+            }));
+        }
+
+        setWeather(weather) {
+            if (!WEATHER_TYPES[weather]) {
+                this.logger.warn('Unknown weather type', { weather });
+                return;
+            }
+            const previousWeather = this.getWeather();
+            this.forecast[0] = weather;
+            this.handleWeatherChange(previousWeather);
+        }
+
+        rerollWeather() {
+            const previousWeather = this.getWeather();
+            this.forecast[0] = this.rollWeather(0);
+            this.handleWeatherChange(previousWeather);
+        }
+
+        addWeatherChangeListener(callback, options) {
+            return $gameHDB.time.on('weatherChange', callback, options);
+        }
+
+        removeWeatherChangeListener(callback) {
+            $gameHDB.time.off('weatherChange', callback);
+        }
+
+        isOutdoorMap() {
+            const meta = $dataMap && $dataMap.meta ? $dataMap.meta : {};
+            if (meta.Outdoor) return true;
+            if (meta.Indoor) return false;
+            return this.outsideSwitch > 0 && $gameSwitches.value(this.outsideSwitch);
+        }
+
+        // Show today's weather on outdoor maps, clear it indoors
+        applyWeather(duration) {
+            if (typeof $gameScreen === 'undefined' || !$gameScreen || !$dataMap) return;
+            this._wasOutdoor = this.isOutdoorMap();
+            const screenWeather = this._wasOutdoor ? WEATHER_TYPES[this.getWeather()] : WEATHER_TYPES.clear;
+            $gameScreen.changeWeather(screenWeather.type, screenWeather.power, duration);
+        }
+
+        // Fade the weather in or out when the Outside Switch flips on the current map
+        updateOutdoorState() {
+            if (!$dataMap || this._wasOutdoor === undefined) return;
+            if (this.isOutdoorMap() !== this._wasOutdoor) {
+                this.applyWeather(this.fadeDuration);
+            }
+        }
+    }
+
+    // Roll new weather every day. Registered once and shared by every WeatherSystem instance.
+    if ($gameHDB && $gameHDB.time) {
+        $gameHDB.time.on('dayChange', (data) => {
+            if ($gameHDB.weather) {
+                $gameHDB.weather.onDayChange(data);
+            }
+        });
+    }
+
+    // Create the weather system once the time system exists for this game
+    const _Scene_Map_createDisplayObjects = Scene_Map.prototype.createDisplayObjects;
+    Scene_Map.prototype.createDisplayObjects = function() {
+        _Scene_Map_createDisplayObjects.call(this);
+        if ($gameHDB && $gameHDB.time && !$gameHDB.weather) {
+            $gameHDB.weather = new WeatherSystem();
+        }
+    };
+
+    // Apply weather immediately when a map is shown
+    const _Scene_Map_start = Scene_Map.prototype.start;
+    Scene_Map.prototype.start = function() {
+        _Scene_Map_start.call(this);
+        if ($gameHDB && $gameHDB.weather) {
+            $gameHDB.weather.applyWeather(0);
+        }
+    };
+
+    const _Scene_Map_update = Scene_Map.prototype.update;
+    Scene_Map.prototype.update = function() {
+        _Scene_Map_update.call(this);
+        if ($gameHDB && $gameHDB.weather) {
+            $gameHDB.weather.updateOutdoorState();
+        }
+    };
+
+    // Add save hook to DataManager
+    const _DataManager_makeSaveContents = DataManager.makeSaveContents;
+    DataManager.makeSaveContents = function() {
+        const contents = _DataManager_makeSaveContents.call(this);
+        if ($gameHDB && $gameHDB.weather) {
+            $gameHDB.weather.saveData();
+        }
+        return contents;
+    };
+
+    // Plugin commands
+    const _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+    Game_Interpreter.prototype.pluginCommand = function(command, args) {
+        _Game_Interpreter_pluginCommand.call(this, command, args);
+        if (command.toLowerCase() !== 'weather' || !$gameHDB || !$gameHDB.weather) return;
+
+        switch ((args[0] || '').toLowerCase()) {
+            case 'set':
+                $gameHDB.weather.setWeather((args[1] || '').toLowerCase());
+                break;
+            case 'reroll':
+                $gameHDB.weather.rerollWeather();
+                break;
+            default:
+                $gameHDB.weather.logger.warn('Unknown Weather command', { args });
+        }
+    };
+})();